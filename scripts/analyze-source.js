@@ -0,0 +1,445 @@
+const ts = require('typescript');
+
+// Modules provided by the host app rather than installed per component
+const HOST_PACKAGES = ['react', 'react-native'];
+
+const TOKEN_MODULE_PATTERN = /(^|\/)constants\/ui(\/|$)/;
+
+function parseSource(content, fileName = 'component.tsx') {
+  return ts.createSourceFile(fileName, content, ts.ScriptTarget.Latest, true, ts.ScriptKind.TSX);
+}
+
+function hasModifier(node, kind) {
+  return Boolean(ts.canHaveModifiers(node) && (ts.getModifiers(node) || []).some(m => m.kind === kind));
+}
+
+function isTypeOnlyImport(node) {
+  const clause = node.importClause;
+  if (!clause) {
+    return false;
+  }
+  if (clause.isTypeOnly) {
+    return true;
+  }
+
+  // `import { type A, type B } from 'x'` is erased just like `import type`
+  const bindings = clause.namedBindings;
+  return !clause.name
+    && Boolean(bindings)
+    && ts.isNamedImports(bindings)
+    && bindings.elements.length > 0
+    && bindings.elements.every(element => element.isTypeOnly);
+}
+
+function isExternalModule(specifier) {
+  return !specifier.startsWith('.')
+    && !specifier.startsWith('/')
+    && !specifier.startsWith('react-native/')
+    && !HOST_PACKAGES.includes(specifier);
+}
+
+// Every import declaration with the local names it binds
+function collectImports(sourceFile) {
+  const imports = [];
+
+  sourceFile.statements.forEach(statement => {
+    if (!ts.isImportDeclaration(statement) || !ts.isStringLiteral(statement.moduleSpecifier)) {
+      return;
+    }
+
+    const clause = statement.importClause;
+    const bindings = [];
+
+    if (clause && clause.name) {
+      bindings.push({ local: clause.name.text, imported: 'default', isTypeOnly: clause.isTypeOnly });
+    }
+    if (clause && clause.namedBindings) {
+      if (ts.isNamespaceImport(clause.namedBindings)) {
+        bindings.push({ local: clause.namedBindings.name.text, imported: '*', isTypeOnly: clause.isTypeOnly });
+      } else {
+        clause.namedBindings.elements.forEach(element => {
+          bindings.push({
+            local: element.name.text,
+            imported: (element.propertyName || element.name).text,
+            isTypeOnly: clause.isTypeOnly || element.isTypeOnly
+          });
+        });
+      }
+    }
+
+    imports.push({
+      module: statement.moduleSpecifier.text,
+      isTypeOnly: isTypeOnlyImport(statement),
+      bindings
+    });
+  });
+
+  return imports;
+}
+
+// npm packages the file needs at runtime
+function collectExternalDependencies(imports) {
+  return [...new Set(imports
+    .filter(imp => !imp.isTypeOnly && isExternalModule(imp.module))
+    .map(imp => imp.module))];
+}
+
+function declarationNames(statement) {
+  if (ts.isVariableStatement(statement)) {
+    return statement.declarationList.declarations
+      .filter(declaration => ts.isIdentifier(declaration.name))
+      .map(declaration => declaration.name.text);
+  }
+  return statement.name && ts.isIdentifier(statement.name) ? [statement.name.text] : [];
+}
+
+function collectExports(sourceFile) {
+  const exports = [];
+
+  sourceFile.statements.forEach(statement => {
+    if (ts.isExportAssignment(statement)) {
+      // export default <expression>
+      exports.push('default');
+    } else if (ts.isExportDeclaration(statement)) {
+      // export { A, B as C } [from '...']
+      if (statement.exportClause && ts.isNamedExports(statement.exportClause)) {
+        statement.exportClause.elements.forEach(element => exports.push(element.name.text));
+      }
+    } else if (hasModifier(statement, ts.SyntaxKind.ExportKeyword)) {
+      if (hasModifier(statement, ts.SyntaxKind.DefaultKeyword)) {
+        exports.push('default');
+      } else {
+        exports.push(...declarationNames(statement));
+      }
+    }
+  });
+
+  return [...new Set(exports)];
+}
+
+// type Foo = 'a' | 'b' | 'c', including aliases spread over several lines
+function collectUnionTypes(sourceFile) {
+  const unions = {};
+
+  sourceFile.statements.forEach(statement => {
+    if (!ts.isTypeAliasDeclaration(statement) || !ts.isUnionTypeNode(statement.type)) {
+      return;
+    }
+
+    const members = statement.type.types;
+    const isStringUnion = members.every(member =>
+      ts.isLiteralTypeNode(member) && ts.isStringLiteral(member.literal));
+
+    if (isStringUnion) {
+      unions[statement.name.text] = members.map(member => member.literal.text);
+    }
+  });
+
+  return unions;
+}
+
+// Static path of a member access chain: typography.fontSizes.xs, spacing[4]
+function accessPath(node) {
+  if (ts.isIdentifier(node)) {
+    return { root: node.text, path: [] };
+  }
+  if (ts.isPropertyAccessExpression(node)) {
+    const parent = accessPath(node.expression);
+    if (!parent || parent.dynamic) {
+      return parent;
+    }
+    return { ...parent, path: [...parent.path, `.${node.name.text}`] };
+  }
+  if (ts.isElementAccessExpression(node)) {
+    const parent = accessPath(node.expression);
+    if (!parent || parent.dynamic) {
+      return parent;
+    }
+    const argument = node.argumentExpression;
+    if (ts.isStringLiteral(argument) || ts.isNumericLiteral(argument)) {
+      return { ...parent, path: [...parent.path, `[${argument.text}]`] };
+    }
+    return { ...parent, dynamic: true };
+  }
+  return null;
+}
+
+function isAccessExpression(node) {
+  return ts.isPropertyAccessExpression(node) || ts.isElementAccessExpression(node);
+}
+
+// Member accesses on identifiers imported from the token modules (constants/ui)
+function collectTokenAccesses(sourceFile, imports) {
+  const tokenNames = new Map();
+  imports
+    .filter(imp => TOKEN_MODULE_PATTERN.test(imp.module))
+    .forEach(imp => imp.bindings
+      .filter(binding => !binding.isTypeOnly && binding.imported !== '*' && binding.imported !== 'default')
+      .forEach(binding => tokenNames.set(binding.local, binding.imported)));
+
+  const accesses = new Set();
+
+  function visit(node) {
+    // Only the outermost access of a chain is recorded
+    if (isAccessExpression(node) && !(isAccessExpression(node.parent) && node.parent.expression === node)) {
+      const access = accessPath(node);
+      if (access && tokenNames.has(access.root) && (access.path.length > 0 || access.dynamic)) {
+        accesses.add(`${tokenNames.get(access.root)}${access.path.join('')}`);
+      }
+    }
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+  return Array.from(accesses);
+}
+
+// ThemeProvider hooks handing out the active palette: useColors() returns it,
+// useTheme() carries it as `currentColors`
+function isHookCall(node, hook) {
+  return Boolean(node) && ts.isCallExpression(node) && ts.isIdentifier(node.expression) && node.expression.text === hook;
+}
+
+// Keys read from the active theme palette (currentColors.primary), sorted
+function collectThemeColorAccesses(sourceFile) {
+  const paletteNames = new Set();
+
+  function collectPalettes(node) {
+    if (ts.isVariableDeclaration(node)) {
+      if (ts.isIdentifier(node.name) && (node.name.text === 'currentColors' || isHookCall(node.initializer, 'useColors'))) {
+        paletteNames.add(node.name.text);
+      } else if (ts.isObjectBindingPattern(node.name) && isHookCall(node.initializer, 'useTheme')) {
+        node.name.elements
+          .filter(element => ts.isIdentifier(element.name) && (element.propertyName || element.name).text === 'currentColors')
+          .forEach(element => paletteNames.add(element.name.text));
+      }
+    }
+    ts.forEachChild(node, collectPalettes);
+  }
+
+  const keys = new Set();
+
+  function visit(node) {
+    if (isAccessExpression(node) && ts.isIdentifier(node.expression) && paletteNames.has(node.expression.text)) {
+      const access = accessPath(node);
+      if (access && !access.dynamic) {
+        keys.add(access.path[0].replace(/^\.|^\[|\]$/g, ''));
+      }
+    }
+    ts.forEachChild(node, visit);
+  }
+
+  collectPalettes(sourceFile);
+  visit(sourceFile);
+  return [...keys].sort();
+}
+
+function normalizeTypeText(node) {
+  return node.getText().replace(/\s+/g, ' ').replace(/;\s*}/g, ' }').trim();
+}
+
+function jsDocOf(node) {
+  const docs = ts.getJSDocCommentsAndTags(node).filter(ts.isJSDoc);
+  const doc = docs[docs.length - 1];
+  if (!doc) {
+    return { description: null, tags: {} };
+  }
+
+  const tags = {};
+  (doc.tags || []).forEach(tag => {
+    tags[tag.tagName.text] = (ts.getTextOfJSDocComment(tag.comment) || '').trim();
+  });
+
+  return {
+    description: (ts.getTextOfJSDocComment(doc.comment) || '').trim() || null,
+    tags
+  };
+}
+
+// Destructuring defaults of the function taking `{ ... }: <propsName>`
+function collectPropDefaults(sourceFile, propsName) {
+  const defaults = {};
+
+  function fromParameters(parameters) {
+    const [param] = parameters;
+    if (!param || !ts.isObjectBindingPattern(param.name) || !param.type) {
+      return false;
+    }
+    if (!ts.isTypeReferenceNode(param.type) || param.type.typeName.getText() !== propsName) {
+      return false;
+    }
+
+    param.name.elements.forEach(element => {
+      if (element.initializer && !element.dotDotDotToken) {
+        const name = (element.propertyName || element.name).getText();
+        defaults[name] = element.initializer.getText();
+      }
+    });
+    return true;
+  }
+
+  function visit(node) {
+    const isFunction = ts.isFunctionDeclaration(node)
+      || ts.isArrowFunction(node)
+      || ts.isFunctionExpression(node);
+
+    // The first matching signature wins, e.g. Spinner's main component over its helpers
+    if (isFunction && fromParameters(node.parameters)) {
+      return;
+    }
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+  return defaults;
+}
+
+function findPropsInterface(sourceFile, componentName) {
+  const interfaces = sourceFile.statements.filter(statement =>
+    ts.isInterfaceDeclaration(statement) && statement.name.text.endsWith('Props'));
+
+  return interfaces.find(statement => statement.name.text === `${componentName}Props`)
+    || interfaces.find(statement => hasModifier(statement, ts.SyntaxKind.ExportKeyword))
+    || null;
+}
+
+// Prop API of the component's *Props interface
+function collectProps(sourceFile, componentName) {
+  const propsInterface = findPropsInterface(sourceFile, componentName);
+  if (!propsInterface) {
+    return { props: [], propsExtends: [] };
+  }
+
+  const propsName = propsInterface.name.text;
+  const defaults = collectPropDefaults(sourceFile, propsName);
+
+  const props = propsInterface.members
+    .filter(member => (ts.isPropertySignature(member) || ts.isMethodSignature(member)) && member.name)
+    .map(member => {
+      const name = member.name.getText().replace(/^['"]|['"]$/g, '');
+      const doc = jsDocOf(member);
+      const type = ts.isMethodSignature(member)
+        ? `(${member.parameters.map(normalizeTypeText).join(', ')}) => ${member.type ? normalizeTypeText(member.type) : 'void'}`
+        : member.type ? normalizeTypeText(member.type) : 'any';
+
+      const prop = {
+        name,
+        type,
+        optional: Boolean(member.questionToken)
+      };
+
+      const defaultValue = defaults[name] !== undefined ? defaults[name] : doc.tags.default;
+      if (defaultValue !== undefined) {
+        prop.default = defaultValue;
+      }
+      if (doc.description) {
+        prop.description = doc.description;
+      }
+      if (doc.tags.deprecated !== undefined) {
+        prop.deprecated = doc.tags.deprecated || true;
+      }
+
+      return prop;
+    });
+
+  const propsExtends = (propsInterface.heritageClauses || [])
+    .flatMap(clause => clause.types.map(normalizeTypeText));
+
+  return { props, propsExtends };
+}
+
+function unwrapExpression(node) {
+  while (ts.isAsExpression(node) || ts.isSatisfiesExpression(node) || ts.isParenthesizedExpression(node)) {
+    node = node.expression;
+  }
+  return node;
+}
+
+function propertyKey(name) {
+  if (ts.isIdentifier(name) || ts.isStringLiteral(name) || ts.isNumericLiteral(name)) {
+    return name.text;
+  }
+  return name.getText();
+}
+
+// Plain value of a literal expression; anything computed is kept as source text
+function literalValue(node) {
+  node = unwrapExpression(node);
+
+  if (ts.isObjectLiteralExpression(node)) {
+    const value = {};
+    node.properties
+      .filter(ts.isPropertyAssignment)
+      .forEach(property => {
+        value[propertyKey(property.name)] = literalValue(property.initializer);
+      });
+    return value;
+  }
+  if (ts.isArrayLiteralExpression(node)) {
+    return node.elements.map(literalValue);
+  }
+  if (ts.isStringLiteral(node) || ts.isNoSubstitutionTemplateLiteral(node)) {
+    return node.text;
+  }
+  if (ts.isNumericLiteral(node)) {
+    return Number(node.text);
+  }
+  if (ts.isPrefixUnaryExpression(node) && node.operator === ts.SyntaxKind.MinusToken && ts.isNumericLiteral(node.operand)) {
+    return -Number(node.operand.text);
+  }
+  if (node.kind === ts.SyntaxKind.TrueKeyword) {
+    return true;
+  }
+  if (node.kind === ts.SyntaxKind.FalseKeyword) {
+    return false;
+  }
+  if (node.kind === ts.SyntaxKind.NullKeyword) {
+    return null;
+  }
+  return node.getText();
+}
+
+// Values of `export const name = { ... } as const` declarations, e.g. a token file
+function collectExportedConstants(sourceFile) {
+  const constants = {};
+
+  sourceFile.statements
+    .filter(statement => ts.isVariableStatement(statement) && hasModifier(statement, ts.SyntaxKind.ExportKeyword))
+    .forEach(statement => {
+      statement.declarationList.declarations
+        .filter(declaration => ts.isIdentifier(declaration.name) && declaration.initializer)
+        .forEach(declaration => {
+          constants[declaration.name.text] = literalValue(declaration.initializer);
+        });
+    });
+
+  return constants;
+}
+
+function collectIdentifiers(sourceFile) {
+  const identifiers = new Set();
+
+  function visit(node) {
+    if (ts.isIdentifier(node)) {
+      identifiers.add(node.text);
+    }
+    ts.forEachChild(node, visit);
+  }
+
+  visit(sourceFile);
+  return identifiers;
+}
+
+module.exports = {
+  TOKEN_MODULE_PATTERN,
+  parseSource,
+  collectImports,
+  collectExternalDependencies,
+  collectExports,
+  collectUnionTypes,
+  collectTokenAccesses,
+  collectThemeColorAccesses,
+  collectProps,
+  collectExportedConstants,
+  collectIdentifiers
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// SHA-256 of the exact bytes a client downloads: hex for the checksum field,
+// base64 in Subresource Integrity format for the integrity field
+function contentDigest(content) {
+  const hash = crypto.createHash('sha256').update(content);
+  return {
+    checksum: hash.copy().digest('hex'),
+    integrity: `sha256-${hash.digest('base64')}`
+  };
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+// Keep the previous lastUpdated when nothing else in the document changed
+function preserveTimestamp(filePath, data) {
+  const previous = readJson(filePath);
+  if (!previous || !previous.lastUpdated || !data.lastUpdated) {
+    return data;
+  }
+
+  const unchanged = JSON.stringify({ ...previous, lastUpdated: null }) ===
+    JSON.stringify({ ...data, lastUpdated: null });
+
+  return unchanged ? { ...data, lastUpdated: previous.lastUpdated } : data;
+}
+
+// Writes build output only when its content differs from what is on disk. In
+// check mode nothing is written; the files that would change are collected.
+function createBuildOutput({ root = process.cwd(), check = false } = {}) {
+  const changes = [];
+
+  // `content` is a string, or a Buffer for binary files such as packs
+  function writeFile(filePath, content) {
+    if (fs.existsSync(filePath) && fs.readFileSync(filePath).equals(Buffer.from(content))) {
+      return false;
+    }
+
+    if (check) {
+      changes.push(path.relative(root, filePath));
+    } else {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, content);
+    }
+    return true;
+  }
+
+  // Delete a file that is no longer part of the build
+  function removeFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+      return false;
+    }
+
+    if (check) {
+      changes.push(path.relative(root, filePath));
+    } else {
+      fs.unlinkSync(filePath);
+    }
+    return true;
+  }
+
+  return {
+    check,
+    changes,
+    writeFile,
+    removeFile,
+
+    // Returns the data as written, with its lastUpdated possibly carried over
+    writeJson(filePath, data) {
+      const output = preserveTimestamp(filePath, data);
+      writeFile(filePath, JSON.stringify(output, null, 2));
+      return output;
+    }
+  };
+}
+
+module.exports = {
+  contentDigest,
+  preserveTimestamp,
+  createBuildOutput
+};
@@ -2,145 +2,326 @@
 
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
-
-const EXPO_PATH = path.join(__dirname, '../..');
-const REGISTRY_PATH = path.join(__dirname, '..');
-
-// Registry configuration
-const REGISTRY_CONFIG = {
-  baseUrl: 'https://raw.githubusercontent.com/rncanopy/rncanopy-registry/main',
-  version: '1.0.0',
-  lastUpdated: new Date().toISOString(),
-};
-
-function analyzeComponentFile(filePath, componentName) {
-  const content = fs.readFileSync(filePath, 'utf8');
-  const analysis = {
-    dependencies: new Set(),
-    exports: new Set(),
-    props: new Set(),
-    variants: new Set(),
-    sizes: new Set(),
-    hasHaptics: false,
-    hasProvider: false,
-    tokenUsage: new Set()
+const { loadRegistryConfig } = require('./registry-config');
+const { contentDigest, createBuildOutput } = require('./build-output');
+const {
+  INITIAL_VERSION,
+  resolveItemVersion,
+  findRemovedItems,
+  updateChangelog
+} = require('./item-versions');
+const { flattenTokenKeys, tokenFileKeys } = require('./registry-changes');
+const { writeSnapshot, listSnapshots, listSnapshotFiles } = require('./registry-snapshots');
+const {
+  FACETS,
+  SEARCH_FIELDS,
+  facetFilePath,
+  componentSummary,
+  collectFacets,
+  buildTermIndex
+} = require('./registry-search');
+const { createPacks } = require('./registry-packs');
+const { toComponentSlug, componentUrls, componentFilePath } = require('./registry-paths');
+const {
+  MAIN_FILE,
+  ANALYZED_TYPES,
+  readComponentMetadata,
+  readComponentManifest
+} = require('./component-manifest');
+const {
+  ANALYSIS_SPECIFIERS,
+  findPlaceholders,
+  renderTemplate,
+  templatizeImports
+} = require('./render-template');
+const {
+  parseSource,
+  collectImports,
+  collectExternalDependencies,
+  collectExports,
+  collectUnionTypes,
+  collectTokenAccesses,
+  collectThemeColorAccesses,
+  collectProps,
+  collectIdentifiers
+} = require('./analyze-source');
+const {
+  resolveRegistryDependencies,
+  resolveProviderUsage,
+  buildDependencyGraph
+} = require('./registry-graph');
+const { auditColors, summarizeContrast } = require('./color-contrast');
+const { COLOR_MODES } = require('./color-utils');
+const { deriveTemplateColors } = require('./color-derivation');
+const { resolveTemplate } = require('./template-inheritance');
+const { buildNativeTokens } = require('./native-tokens');
+const {
+  loadBaseTokens,
+  loadTemplateTokens,
+  buildCompatibilityMatrix
+} = require('./token-compatibility');
+
+// Registry configuration (registry.config.js/json merged over the defaults)
+const REGISTRY_CONFIG = loadRegistryConfig();
+
+// Where builders write; main() swaps in a checking instance for --check
+let output = createBuildOutput({ root: REGISTRY_CONFIG.outputPath });
+
+// Static host configuration published with the registry; _headers holds the
+// CORS and Content-Type rules the host and the local dev server apply
+const HOST_FILES = ['_headers'];
+const REGISTRY_ROOT = path.join(__dirname, '..');
+
+// Item changes found by the builders, published as api/changelog.json
+let itemChanges = [];
+
+// Changes already recorded for the registry version being built
+let pendingChanges = [];
+
+function analyzeComponentFile(filePath, componentName, modules = null) {
+  // Templates are analyzed as if installed in the flat registry layout
+  const content = renderTemplate(fs.readFileSync(filePath, 'utf8'), ANALYSIS_SPECIFIERS);
+  const sourceFile = parseSource(content, path.basename(filePath).replace(/\.template$/, ''));
+  
+  const imports = collectImports(sourceFile);
+  const unionTypes = collectUnionTypes(sourceFile);
+  const identifiers = collectIdentifiers(sourceFile);
+  const { props, propsExtends } = collectProps(sourceFile, componentName);
+  const providerUsage = modules
+    ? resolveProviderUsage(imports, modules, componentName)
+    : { requiredProviders: [], wraps: [] };
+  
+  // Variants and sizes come from the *Variant / *Size string-literal unions
+  const unionValues = suffix => [...new Set(Object.keys(unionTypes)
+    .filter(name => name.endsWith(suffix))
+    .flatMap(name => unionTypes[name]))];
+  
+  return {
+    dependencies: collectExternalDependencies(imports),
+    exports: collectExports(sourceFile),
+    variants: unionValues('Variant'),
+    sizes: unionValues('Size'),
+    unionTypes,
+    props,
+    propsExtends,
+    hasHaptics: identifiers.has('useHaptics') || identifiers.has('triggerHaptic'),
+    hasProvider: providerUsage.requiredProviders.length > 0,
+    requiredProviders: providerUsage.requiredProviders,
+    wrapsProviders: providerUsage.wraps,
+    tokenUsage: collectTokenAccesses(sourceFile, imports),
+    colorUsage: collectThemeColorAccesses(sourceFile),
+    registryDependencies: modules
+      ? resolveRegistryDependencies(imports, modules, { component: toComponentSlug(componentName), provider: componentName })
+      : { components: [], providers: [], tokens: [] }
   };
+}
 
-  // Extract imports and dependencies
-  const importMatches = content.match(/import.*from\s+['"]([^'"]+)['"];?/g) || [];
-  importMatches.forEach(match => {
-    const packageMatch = match.match(/from\s+['"]([^'"]+)['"]/);
-    if (packageMatch) {
-      const pkg = packageMatch[1];
-      if (!pkg.startsWith('.') && !pkg.startsWith('react-native/')) {
-        if (pkg !== 'react' && pkg !== 'react-native') {
-          analysis.dependencies.add(pkg);
-        }
-      }
-    }
-  });
+// Source files per registry section. The Expo app keeps plain .tsx/.ts modules,
+// a self-contained build reads the templates committed to the registry itself.
+function listSourceFiles(kind, config = REGISTRY_CONFIG) {
+  const sourceDir = path.join(config.sourcePath, config.sources[kind]);
+  if (!fs.existsSync(sourceDir)) {
+    throw new Error(`Missing ${kind} source directory: ${sourceDir}`);
+  }
+  
+  if (config.selfContained && kind === 'components') {
+    return fs.readdirSync(sourceDir)
+      .sort()
+      .filter(dir => fs.existsSync(path.join(sourceDir, dir, 'component.tsx.template')))
+      .map(dir => ({ name: dir, sourcePath: path.join(sourceDir, dir, 'component.tsx.template') }));
+  }
+  
+  const extension = (kind === 'tokens' ? '.ts' : '.tsx') + (config.selfContained ? '.template' : '');
+  return fs.readdirSync(sourceDir)
+    .sort()
+    .filter(file => file.endsWith(extension) && !file.includes('index'))
+    .map(file => ({ name: file.slice(0, -extension.length), sourcePath: path.join(sourceDir, file) }));
+}
 
-  // Extract exports
-  const exportMatches = content.match(/export\s+(interface|type|function|const)\s+([A-Za-z0-9_]+)/g) || [];
-  exportMatches.forEach(match => {
-    const nameMatch = match.match(/export\s+(?:interface|type|function|const)\s+([A-Za-z0-9_]+)/);
-    if (nameMatch) {
-      analysis.exports.add(nameMatch[1]);
-    }
+// Names of everything being built, used to resolve imports between registry items
+function loadRegistryModules(config = REGISTRY_CONFIG) {
+  const tokenExports = new Map();
+  const tokens = listSourceFiles('tokens', config).map(({ name, sourcePath }) => {
+    const sourceFile = parseSource(fs.readFileSync(sourcePath, 'utf8'), `${name}.ts`);
+    collectExports(sourceFile).forEach(exported => tokenExports.set(exported, name));
+    return name;
   });
+  
+  return {
+    components: listSourceFiles('components', config).map(file => file.name),
+    providers: listSourceFiles('providers', config).map(file => file.name),
+    tokens,
+    tokenExports
+  };
+}
 
-  // Extract variants and sizes
-  const variantTypes = content.match(/type\s+\w*Variant\s*=\s*['"][^'"]+['"](?:\s*\|\s*['"][^'"]+['"])*/g) || [];
-  variantTypes.forEach(match => {
-    const variants = match.match(/['"]([^'"]+)['"]/g) || [];
-    variants.forEach(v => analysis.variants.add(v.replace(/['"]/g, '')));
-  });
+function readChangelogReleases(config) {
+  const changelogPath = path.join(config.outputPath, 'api/changelog.json');
+  if (!fs.existsSync(changelogPath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(changelogPath, 'utf8')).releases || [];
+}
 
-  const sizeTypes = content.match(/type\s+\w*Size\s*=\s*['"][^'"]+['"](?:\s*\|\s*['"][^'"]+['"])*/g) || [];
-  sizeTypes.forEach(match => {
-    const sizes = match.match(/['"]([^'"]+)['"]/g) || [];
-    sizes.forEach(s => analysis.sizes.add(s.replace(/['"]/g, '')));
-  });
+// Items as published by the previous build, used to version the new ones
+function readPublishedItems(kind, config) {
+  const apiPath = path.join(config.outputPath, `api/${kind}.json`);
+  if (!fs.existsSync(apiPath)) {
+    return [];
+  }
+  return JSON.parse(fs.readFileSync(apiPath, 'utf8'))[kind] || [];
+}
 
-  // Check for haptics and providers
-  analysis.hasHaptics = content.includes('useHaptics') || content.includes('triggerHaptic');
-  analysis.hasProvider = content.includes('useTheme') || content.includes('useHaptics');
+// Give an item its own version, bumped from the published one if it changed.
+// `details` and `previousDetails` add what the metadata does not record (token
+// keys) to the comparison without publishing it.
+function versionItem(kind, published, metadata, { minimumVersion = null, details = {}, previousDetails = {} } = {}) {
+  const publishedItem = published.find(item => item.name === metadata.name);
+  const previous = publishedItem && { ...publishedItem, ...previousDetails };
+  const pending = pendingChanges.find(change => change.kind === kind && change.name === metadata.name);
+  const { version, change } = resolveItemVersion(
+    kind,
+    previous,
+    { ...metadata, ...details },
+    { minimum: minimumVersion, pending }
+  );
+  if (change) {
+    itemChanges.push(change);
+  }
+  return { ...metadata, version };
+}
 
-  // Extract token usage
-  const tokenMatches = content.match(/(?:colors|spacing|radii|borders|typography|iconSizes|opacity|shadows|haptics)\.[\w.\[\]]+/g) || [];
-  tokenMatches.forEach(token => analysis.tokenUsage.add(token));
+// Replace relative imports of tokens, providers and components with the
+// {{tokensPath}}-style placeholders filled in at install time
+function toTemplate(filePath, config) {
+  const fileDir = path.relative(config.sourcePath, path.dirname(filePath)).split(path.sep).join('/');
+  return templatizeImports(fs.readFileSync(filePath, 'utf8'), fileDir, config.sources);
+}
 
+// One analysis for a component spread over several files: props, variants and
+// sizes come from the main file, everything imported or exported is combined
+function mergeAnalyses([main, ...others]) {
+  const union = (read) => [...new Set([main, ...others].flatMap(read))];
+  
+  const registryDependencies = {};
+  Object.keys(main.registryDependencies).forEach(kind => {
+    registryDependencies[kind] = union(analysis => analysis.registryDependencies[kind]).sort();
+  });
+  
   return {
-    dependencies: Array.from(analysis.dependencies),
-    exports: Array.from(analysis.exports),
-    variants: Array.from(analysis.variants),
-    sizes: Array.from(analysis.sizes),
-    hasHaptics: analysis.hasHaptics,
-    hasProvider: analysis.hasProvider,
-    tokenUsage: Array.from(analysis.tokenUsage),
-    checksum: crypto.createHash('md5').update(content).digest('hex')
+    ...main,
+    dependencies: union(analysis => analysis.dependencies),
+    exports: union(analysis => analysis.exports),
+    hasHaptics: [main, ...others].some(analysis => analysis.hasHaptics),
+    hasProvider: [main, ...others].some(analysis => analysis.hasProvider),
+    requiredProviders: union(analysis => analysis.requiredProviders),
+    wrapsProviders: union(analysis => analysis.wrapsProviders),
+    tokenUsage: union(analysis => analysis.tokenUsage),
+    colorUsage: union(analysis => analysis.colorUsage).sort(),
+    registryDependencies
   };
 }
 
-function buildComponentRegistry() {
+function writeTemplateFile(sourcePath, targetPath, content) {
+  // Self-contained builds read and write the same file
+  if (path.resolve(sourcePath) !== path.resolve(targetPath)) {
+    output.writeFile(targetPath, content);
+  }
+}
+
+function publishHostFiles(config = REGISTRY_CONFIG) {
+  HOST_FILES
+    .map(file => ({ file, sourcePath: path.join(REGISTRY_ROOT, file) }))
+    .filter(({ sourcePath }) => fs.existsSync(sourcePath))
+    .forEach(({ file, sourcePath }) => {
+      writeTemplateFile(sourcePath, path.join(config.outputPath, file), fs.readFileSync(sourcePath, 'utf8'));
+    });
+}
+
+function buildComponentRegistry(config = REGISTRY_CONFIG) {
   console.log('🧩 Building comprehensive component registry...');
   
   const components = [];
-  const componentsDir = path.join(REGISTRY_PATH, 'components');
+  const componentsDir = path.join(config.outputPath, 'components');
   
   // Ensure components directory exists
   if (!fs.existsSync(componentsDir)) {
     fs.mkdirSync(componentsDir, { recursive: true });
   }
   
-  // Get component files from Expo app (source of truth)
-  const expoComponentsDir = path.join(EXPO_PATH, 'components/ui');
-  const componentFiles = fs.readdirSync(expoComponentsDir)
-    .filter(file => file.endsWith('.tsx') && !file.includes('index'))
-    .map(file => file.replace('.tsx', ''));
+  // Get component files from the configured source of truth
+  const componentFiles = listSourceFiles('components', config);
+  const modules = loadRegistryModules(config);
+  const published = readPublishedItems('components', config);
   
-  componentFiles.forEach(componentName => {
+  componentFiles.forEach(({ name: componentName, sourcePath: sourceFile }) => {
     const componentDir = path.join(componentsDir, componentName);
     if (!fs.existsSync(componentDir)) {
       fs.mkdirSync(componentDir, { recursive: true });
     }
     
-    // Copy and analyze component
-    const sourceFile = path.join(expoComponentsDir, `${componentName}.tsx`);
-    const targetFile = path.join(componentDir, 'component.tsx.template');
-    
     if (fs.existsSync(sourceFile)) {
-      const content = fs.readFileSync(sourceFile, 'utf8');
-      // Convert to template by replacing relative imports
-      const templateContent = content
-        .replace(/from '\.\.\//g, "from '../")
-        .replace(/from '\.\/'/g, "from './")
-        .replace(/\.\.\/\.\.\/constants\/ui/g, './constants/ui')
-        .replace(/\.\.\/\.\.\/providers/g, './providers');
+      // The manifest sits next to the template; app builds keep it in the registry
+      const manifestDir = config.selfContained ? path.dirname(sourceFile) : componentDir;
+      const manifest = readComponentManifest(manifestDir, componentName);
       
-      fs.writeFileSync(targetFile, templateContent);
+      // Copy every file the component ships, converted to a template
+      const files = manifest.map(file => {
+        const filePath = file.path === MAIN_FILE
+          ? sourceFile
+          : file.source && !config.selfContained
+            ? path.join(config.sourcePath, file.source)
+            : path.join(path.dirname(sourceFile), file.path);
+        if (!fs.existsSync(filePath)) {
+          throw new Error(`${componentName}: missing component file ${filePath}`);
+        }
+        const templateContent = toTemplate(filePath, config);
+        
+        writeTemplateFile(filePath, path.join(componentDir, file.path), templateContent);
+        return { ...file, sourcePath: filePath, templateContent };
+      });
       
-      // Analyze component for metadata
-      const analysis = analyzeComponentFile(sourceFile, componentName);
+      // Analyze the component and its code files for metadata
+      const analysis = mergeAnalyses(files
+        .filter(file => ANALYZED_TYPES.includes(file.type))
+        .map(file => analyzeComponentFile(file.sourcePath, componentName, modules)));
       
       // Create comprehensive metadata
-      const metadata = createComponentMetadata(componentName, analysis);
-      fs.writeFileSync(
-        path.join(componentDir, 'component.json'),
-        JSON.stringify(metadata, null, 2)
+      const metadata = versionItem(
+        'components',
+        published,
+        createComponentMetadata(componentName, {
+          ...analysis,
+          ...contentDigest(files[0].templateContent),
+          files: files.map(file => ({
+            path: file.path,
+            type: file.type,
+            target: file.target,
+            placeholders: findPlaceholders(file.templateContent),
+            // Tests and examples keep what they import to themselves, so
+            // installs that skip them do not pull it in
+            ...(!ANALYZED_TYPES.includes(file.type) && {
+              registryDependencies: analyzeComponentFile(file.sourcePath, componentName, modules).registryDependencies
+            }),
+            ...contentDigest(file.templateContent),
+            url: `${config.baseUrl}/${componentFilePath(componentName, file.path)}`
+          }))
+        }, config, readComponentMetadata(manifestDir, componentName))
       );
+      output.writeJson(path.join(componentDir, 'component.json'), metadata);
       
       components.push(metadata);
-      console.log(`  ✅ ${componentName} (${analysis.exports.length} exports, ${analysis.dependencies.length} deps)`);
+      console.log(`  ✅ ${componentName} ${metadata.version} (${files.length} files, ${analysis.exports.length} exports, ${analysis.dependencies.length} deps)`);
     }
   });
   
+  itemChanges.push(...findRemovedItems('components', published, components));
+  
   // Generate components API with enhanced metadata
   const api = {
-    version: REGISTRY_CONFIG.version,
-    lastUpdated: REGISTRY_CONFIG.lastUpdated,
-    baseUrl: REGISTRY_CONFIG.baseUrl,
+    version: config.version,
+    lastUpdated: config.lastUpdated,
+    baseUrl: config.baseUrl,
     components,
     stats: {
       totalComponents: components.length,
@@ -149,42 +330,63 @@ function buildComponentRegistry() {
     }
   };
   
-  fs.writeFileSync(
-    path.join(REGISTRY_PATH, 'api/components.json'),
-    JSON.stringify(api, null, 2)
-  );
+  output.writeJson(path.join(config.outputPath, 'api/components.json'), api);
   
   console.log(`📦 Generated ${components.length} components with full analysis`);
   return components;
 }
 
-function buildTemplateRegistry() {
+function buildTemplateRegistry(
+  config = REGISTRY_CONFIG,
+  components = readPublishedItems('components', config),
+  providers = readPublishedItems('providers', config)
+) {
   console.log('🎨 Building comprehensive template registry...');
   
   const templates = [];
-  const templatesDir = path.join(REGISTRY_PATH, 'templates');
+  
+  // Theme colors read through currentColors, which every palette must define in both modes
+  const themeColors = [...new Set([...components, ...providers].flatMap(item => item.colorUsage || []))].sort();
+  const templatesDir = path.join(config.outputPath, 'templates');
+  const sourceTemplatesDir = config.templatesPath;
+  const published = readPublishedItems('templates', config);
   
   // Ensure templates directory exists
-  if (!fs.existsSync(templatesDir)) {
+  if (!fs.existsSync(sourceTemplatesDir)) {
     fs.mkdirSync(templatesDir, { recursive: true });
     console.log('Created templates directory');
     return templates;
   }
   
   // Get template directories that contain template.json
-  const templateDirs = fs.readdirSync(templatesDir)
-    .filter(dir => fs.statSync(path.join(templatesDir, dir)).isDirectory())
-    .filter(dir => fs.existsSync(path.join(templatesDir, dir, 'template.json')));
+  const templateDirs = fs.readdirSync(sourceTemplatesDir)
+    .sort()
+    .filter(dir => fs.statSync(path.join(sourceTemplatesDir, dir)).isDirectory())
+    .filter(dir => fs.existsSync(path.join(sourceTemplatesDir, dir, 'template.json')));
   
   templateDirs.forEach(templateName => {
     const templateDir = path.join(templatesDir, templateName);
-    const templatePath = path.join(templateDir, 'template.json');
+    const templatePath = path.join(sourceTemplatesDir, templateName, 'template.json');
+    
+    if (!fs.existsSync(templateDir)) {
+      fs.mkdirSync(templateDir, { recursive: true });
+    }
     
     try {
       console.log(`  📋 Processing template: ${templateName}`);
       
-      // Load template definition
-      const template = JSON.parse(fs.readFileSync(templatePath, 'utf8'));
+      // Load template definition, with the templates it extends merged in
+      const { template, ancestors } = resolveTemplate(sourceTemplatesDir, templateName);
+      if (ancestors.length > 0) {
+        console.log(`  🧬 ${templateName} extends ${ancestors.join(' → ')}`);
+      }
+      
+      // Publish the definition alongside its token files when building elsewhere
+      const publishedTemplatePath = path.join(templateDir, 'template.json');
+      const templateContent = fs.readFileSync(templatePath, 'utf8');
+      if (path.resolve(templatePath) !== path.resolve(publishedTemplatePath)) {
+        output.writeFile(publishedTemplatePath, templateContent);
+      }
       
       // Validate template has required structure
       if (!template.tokens || !template.tokens.colors) {
@@ -192,59 +394,120 @@ function buildTemplateRegistry() {
         return;
       }
       
+      // Token keys of the previous build, read before the files are regenerated
+      const previousTokenKeys = flattenTokenKeys(loadTemplateTokens(templateDir));
+      
+      // Derive the theme colors the palette does not define
+      const { colors, derived, missing } = deriveTemplateColors(template.tokens.colors, themeColors);
+      const tokens = { ...template.tokens, colors };
+      COLOR_MODES.filter(mode => missing[mode].length > 0).forEach(mode => {
+        console.warn(`  ⚠️  Template ${templateName} ${mode} colors lack ${missing[mode].join(', ')}, which cannot be derived`);
+      });
+      
       // Generate individual token files for CLI consumption
-      const tokenTypes = Object.keys(template.tokens);
+      const tokenTypes = Object.keys(tokens);
       const generatedFiles = [];
+      const tokenDigests = {};
       
       tokenTypes.forEach(tokenType => {
-        const tokenData = template.tokens[tokenType];
+        const tokenContent = JSON.stringify(tokens[tokenType], null, 2);
         const tokenFile = `${tokenType}.json`;
         const tokenPath = path.join(templateDir, tokenFile);
         
-        fs.writeFileSync(tokenPath, JSON.stringify(tokenData, null, 2));
+        output.writeFile(tokenPath, tokenContent);
         generatedFiles.push(tokenFile);
+        tokenDigests[tokenType] = contentDigest(tokenContent);
+      });
+      
+      // React Native forms of the CSS shadow and easing strings
+      const native = buildNativeTokens(tokens);
+      if (native.invalid.length > 0) {
+        console.warn(`  ⚠️  Template ${templateName} has values with no native form: ${native.invalid.join(', ')}`);
+      }
+      const nativeTokenFiles = Object.entries(native.tokens).map(([tokenType, values]) => {
+        const nativeFile = `native/${tokenType}.json`;
+        const content = JSON.stringify(values, null, 2);
+        output.writeFile(path.join(templateDir, nativeFile), content);
+        return {
+          type: tokenType,
+          url: `${config.baseUrl}/templates/${templateName}/${nativeFile}`,
+          ...contentDigest(content)
+        };
       });
       
       // Generate metadata with comprehensive URLs
-      const templateMetadata = {
+      const templateMetadata = versionItem('templates', published, {
         name: template.name,
         displayName: template.displayName,
         description: template.description,
         author: template.author,
         version: template.version,
-        lastUpdated: REGISTRY_CONFIG.lastUpdated,
+        lastUpdated: config.lastUpdated,
+        extends: template.extends || null,
         personality: template.personality,
         preview: template.preview,
+        accessibility: {
+          contrast: summarizeContrast(auditColors(colors))
+        },
+        derivedColors: derived,
         tokenFiles: generatedFiles.map(file => ({
           type: file.replace('.json', ''),
-          url: `${REGISTRY_CONFIG.baseUrl}/templates/${templateName}/${file}`,
-          checksum: crypto.createHash('md5').update(JSON.stringify(template.tokens[file.replace('.json', '')])).digest('hex')
+          url: `${config.baseUrl}/templates/${templateName}/${file}`,
+          ...tokenDigests[file.replace('.json', '')]
         })),
-        templateUrl: `${REGISTRY_CONFIG.baseUrl}/templates/${templateName}/template.json`,
-        metadataUrl: `${REGISTRY_CONFIG.baseUrl}/templates/${templateName}/metadata.json`,
-        checksum: crypto.createHash('md5').update(JSON.stringify(template)).digest('hex')
-      };
+        nativeTokenFiles,
+        templateUrl: `${config.baseUrl}/templates/${templateName}/template.json`,
+        metadataUrl: `${config.baseUrl}/templates/${templateName}/metadata.json`,
+        ...contentDigest(templateContent)
+      }, {
+        minimumVersion: template.version,
+        details: { tokenKeys: flattenTokenKeys(tokens) },
+        previousDetails: { tokenKeys: previousTokenKeys }
+      });
       
       // Write metadata file
-      fs.writeFileSync(
-        path.join(templateDir, 'metadata.json'),
-        JSON.stringify(templateMetadata, null, 2)
-      );
-      
-      templates.push(templateMetadata);
-      console.log(`  ✅ ${template.displayName} (${generatedFiles.length} token files: ${generatedFiles.join(', ')})`);
+      templates.push(output.writeJson(path.join(templateDir, 'metadata.json'), templateMetadata));
+      const { contrast } = templateMetadata.accessibility;
+      const derivedCount = COLOR_MODES.reduce((sum, mode) => sum + Object.keys(derived[mode]).length, 0);
+      console.log(`  ✅ ${template.displayName} ${templateMetadata.version} (${generatedFiles.length} token files: ${generatedFiles.join(', ')}; ${nativeTokenFiles.length} native; contrast ${contrast.level}, min ${contrast.minimumRatio}:1; ${derivedCount} derived colors)`);
+      COLOR_MODES.forEach(mode => {
+        Object.entries(derived[mode]).forEach(([key, { rule, from }]) => {
+          console.log(`     🧪 ${mode}.${key} = ${colors[mode][key]} (${rule} of ${from.join(', ')})`);
+        });
+      });
       
     } catch (error) {
       console.error(`  ❌ Error processing template ${templateName}:`, error.message);
     }
   });
   
+  itemChanges.push(...findRemovedItems('templates', published, templates));
+  
+  // Check every component's token usage against each template's token files
+  const templateTokens = {};
+  templates.forEach(template => {
+    templateTokens[template.name] = loadTemplateTokens(path.join(templatesDir, template.name));
+  });
+  const compatibility = buildCompatibilityMatrix(
+    components,
+    templateTokens,
+    loadBaseTokens(listSourceFiles('tokens', config))
+  );
+  
+  Object.entries(compatibility).forEach(([templateName, results]) => {
+    const incompatible = Object.keys(results).filter(name => !results[name].compatible);
+    if (incompatible.length > 0) {
+      console.warn(`  ⚠️  ${templateName} lacks tokens used by: ${incompatible.join(', ')}`);
+    }
+  });
+  
   // Generate comprehensive templates API
   const api = {
-    version: REGISTRY_CONFIG.version,
-    lastUpdated: REGISTRY_CONFIG.lastUpdated,
-    baseUrl: REGISTRY_CONFIG.baseUrl,
+    version: config.version,
+    lastUpdated: config.lastUpdated,
+    baseUrl: config.baseUrl,
     templates,
+    compatibility,
     stats: {
       totalTemplates: templates.length,
       availableThemes: templates.map(t => t.name),
@@ -253,157 +516,122 @@ function buildTemplateRegistry() {
     }
   };
   
-  fs.writeFileSync(
-    path.join(REGISTRY_PATH, 'api/templates.json'),
-    JSON.stringify(api, null, 2)
-  );
+  output.writeJson(path.join(config.outputPath, 'api/templates.json'), api);
   
   console.log(`🎨 Generated ${templates.length} comprehensive templates with full token support`);
   return templates;
 }
 
-function buildProviderRegistry() {
+function buildProviderRegistry(config = REGISTRY_CONFIG) {
   console.log('⚙️  Building comprehensive provider registry...');
   
   const providers = [];
-  const providersDir = path.join(REGISTRY_PATH, 'providers');
+  const providersDir = path.join(config.outputPath, 'providers');
   
   // Ensure providers directory exists
   if (!fs.existsSync(providersDir)) {
     fs.mkdirSync(providersDir, { recursive: true });
   }
   
-  // Get providers from expo app (source of truth)
-  const expoProvidersDir = path.join(EXPO_PATH, 'providers');
-  const providerFiles = fs.readdirSync(expoProvidersDir)
-    .filter(file => file.endsWith('.tsx') && !file.includes('index'));
+  // Get providers from the configured source of truth
+  const providerFiles = listSourceFiles('providers', config);
+  const modules = loadRegistryModules(config);
+  const published = readPublishedItems('providers', config);
   
-  providerFiles.forEach(file => {
-    const providerName = file.replace('.tsx', '');
-    const sourcePath = path.join(expoProvidersDir, file);
+  providerFiles.forEach(({ name: providerName, sourcePath }) => {
     const targetPath = path.join(providersDir, `${providerName}.tsx.template`);
     
     if (fs.existsSync(sourcePath)) {
-      const content = fs.readFileSync(sourcePath, 'utf8');
-      // Convert to template
-      const templateContent = content
-        .replace(/from '\.\.\//g, "from '../")
-        .replace(/\.\.\/constants\/ui/g, './constants/ui');
+      const templateContent = toTemplate(sourcePath, config);
       
-      fs.writeFileSync(targetPath, templateContent);
+      writeTemplateFile(sourcePath, targetPath, templateContent);
       
       // Analyze provider
-      const analysis = analyzeComponentFile(sourcePath, providerName);
+      const analysis = analyzeComponentFile(sourcePath, providerName, modules);
       
-      const providerMetadata = {
+      const providerMetadata = versionItem('providers', published, {
         name: providerName.toLowerCase(),
         displayName: providerName,
         description: `${providerName} context provider`,
         dependencies: analysis.dependencies,
+        registryDependencies: analysis.registryDependencies,
+        requiredProviders: analysis.requiredProviders,
+        wraps: analysis.wrapsProviders,
         exports: analysis.exports,
-        version: REGISTRY_CONFIG.version,
-        checksum: analysis.checksum,
-        downloadUrl: `${REGISTRY_CONFIG.baseUrl}/providers/${providerName}.tsx.template`
-      };
+        colorUsage: analysis.colorUsage,
+        placeholders: findPlaceholders(templateContent),
+        version: INITIAL_VERSION,
+        ...contentDigest(templateContent),
+        downloadUrl: `${config.baseUrl}/providers/${providerName}.tsx.template`
+      });
       
       // Create metadata file
-      fs.writeFileSync(
-        path.join(providersDir, `${providerName}.json`),
-        JSON.stringify(providerMetadata, null, 2)
-      );
+      output.writeJson(path.join(providersDir, `${providerName}.json`), providerMetadata);
       
       providers.push(providerMetadata);
-      console.log(`  ✅ ${providerName} (${analysis.exports.length} exports)`);
+      console.log(`  ✅ ${providerName} ${providerMetadata.version} (${analysis.exports.length} exports)`);
     }
   });
   
+  itemChanges.push(...findRemovedItems('providers', published, providers));
+  
   // Generate providers API
   const api = {
-    version: REGISTRY_CONFIG.version,
-    lastUpdated: REGISTRY_CONFIG.lastUpdated,
-    baseUrl: REGISTRY_CONFIG.baseUrl,
+    version: config.version,
+    lastUpdated: config.lastUpdated,
+    baseUrl: config.baseUrl,
     providers,
     stats: {
       totalProviders: providers.length
     }
   };
   
-  fs.writeFileSync(
-    path.join(REGISTRY_PATH, 'api/providers.json'),
-    JSON.stringify(api, null, 2)
-  );
+  output.writeJson(path.join(config.outputPath, 'api/providers.json'), api);
   
   console.log(`⚙️  Generated ${providers.length} enhanced providers`);
   return providers;
 }
 
-function createComponentMetadata(componentName, analysis) {
-  const baseCategories = {
-    button: 'forms',
-    gradientbutton: 'forms', 
-    input: 'forms',
-    switch: 'forms',
-    slider: 'forms',
-    toggle: 'forms',
-    alert: 'feedback',
-    toast: 'feedback',
-    badge: 'feedback',
-    card: 'layout',
-    spinner: 'loading'
-  };
-
-  const baseDescriptions = {
-    button: 'Customizable button component with multiple variants, sizes, and loading states',
-    gradientbutton: 'Button component with gradient backgrounds and advanced styling',
-    input: 'Text input component with validation states and helper text',
-    switch: 'Toggle control with smooth animations and haptic feedback', 
-    slider: 'Range input control with customizable styling',
-    toggle: 'Button-like toggle component with pressed states',
-    alert: 'Inline feedback messages with multiple variants',
-    toast: 'Overlay notifications with positioning and animations',
-    badge: 'Status indicators and labels with multiple variants',
-    card: 'Container component with elevation and customizable styling',
-    spinner: 'Loading indicators with multiple styles and sizes'
-  };
-
-  const normalizedName = componentName.toLowerCase();
-  const displayName = componentName.charAt(0).toUpperCase() + componentName.slice(1);
-
-  // Determine required providers
-  const requiredProviders = [];
-  if (analysis.hasHaptics) {
-    requiredProviders.push('HapticsProvider');
-  }
-  if (analysis.hasProvider) {
-    requiredProviders.push('ThemeProvider');
-  }
-
+// Analyzed data merged with the metadata authored in the component's manifest.json
+function createComponentMetadata(
+  componentName,
+  analysis,
+  config = REGISTRY_CONFIG,
+  authored = readComponentMetadata(path.join(config.outputPath, 'components', componentName), componentName)
+) {
   return {
-    name: normalizedName,
-    displayName: normalizedName === 'gradientbutton' ? 'Gradient Button' : displayName,
-    description: baseDescriptions[normalizedName] || `${displayName} component`,
-    category: baseCategories[normalizedName] || 'forms',
+    name: toComponentSlug(componentName),
+    displayName: authored.displayName,
+    description: authored.description,
+    category: authored.category,
+    tags: authored.tags,
+    platforms: authored.platforms,
+    status: authored.status,
     dependencies: analysis.dependencies,
-    requiredProviders,
-    files: ['component.tsx.template'],
+    registryDependencies: analysis.registryDependencies,
+    requiredProviders: analysis.requiredProviders,
+    files: analysis.files,
     exports: analysis.exports,
     variants: analysis.variants,
     sizes: analysis.sizes,
+    unionTypes: analysis.unionTypes,
+    props: analysis.props,
+    propsExtends: analysis.propsExtends,
     tokenUsage: analysis.tokenUsage,
+    colorUsage: analysis.colorUsage,
     hasHaptics: analysis.hasHaptics,
-    version: REGISTRY_CONFIG.version,
+    version: INITIAL_VERSION,
     checksum: analysis.checksum,
-    downloadUrl: `${REGISTRY_CONFIG.baseUrl}/components/${normalizedName}/component.tsx.template`,
-    metadataUrl: `${REGISTRY_CONFIG.baseUrl}/components/${normalizedName}/component.json`
+    integrity: analysis.integrity,
+    ...componentUrls(componentName, config.baseUrl)
   };
 }
 
 
-function buildTokenRegistry() {
+function buildTokenRegistry(config = REGISTRY_CONFIG) {
   console.log('🎨 Building token registry...');
   
-  const tokensDir = path.join(REGISTRY_PATH, 'tokens');
-  const expoConstantsDir = path.join(EXPO_PATH, 'constants/ui');
+  const tokensDir = path.join(config.outputPath, 'tokens');
   
   // Ensure tokens directory exists
   if (!fs.existsSync(tokensDir)) {
@@ -411,58 +639,223 @@ function buildTokenRegistry() {
   }
   
   const tokens = [];
-  const tokenFiles = fs.readdirSync(expoConstantsDir)
-    .filter(file => file.endsWith('.ts') && !file.includes('index'));
+  const tokenFiles = listSourceFiles('tokens', config);
+  const published = readPublishedItems('tokens', config);
   
-  tokenFiles.forEach(file => {
-    const tokenName = file.replace('.ts', '');
-    const sourcePath = path.join(expoConstantsDir, file);
+  tokenFiles.forEach(({ name: tokenName, sourcePath }) => {
     const targetPath = path.join(tokensDir, `${tokenName}.ts.template`);
     
     if (fs.existsSync(sourcePath)) {
       const content = fs.readFileSync(sourcePath, 'utf8');
-      fs.writeFileSync(targetPath, content);
+      writeTemplateFile(sourcePath, targetPath, content);
       
-      const tokenMetadata = {
+      // Keys are published so the next build compares against them; in
+      // self-contained builds the target file is already the new source
+      const tokenKeys = tokenFileKeys(content, tokenName);
+      const publishedToken = published.find(item => item.name === tokenName);
+      const tokenMetadata = versionItem('tokens', published, {
         name: tokenName,
         description: `${tokenName} design tokens`,
-        version: REGISTRY_CONFIG.version,
-        checksum: crypto.createHash('md5').update(content).digest('hex'),
-        downloadUrl: `${REGISTRY_CONFIG.baseUrl}/tokens/${tokenName}.ts.template`
-      };
+        version: INITIAL_VERSION,
+        ...contentDigest(content),
+        tokenKeys,
+        downloadUrl: `${config.baseUrl}/tokens/${tokenName}.ts.template`
+      }, {
+        // Builds before tokenKeys was published have nothing to compare against
+        previousDetails: publishedToken && !publishedToken.tokenKeys ? { tokenKeys } : {}
+      });
       
       tokens.push(tokenMetadata);
-      console.log(`  ✅ ${tokenName}`);
+      console.log(`  ✅ ${tokenName} ${tokenMetadata.version}`);
     }
   });
   
+  itemChanges.push(...findRemovedItems('tokens', published, tokens));
+  
   // Generate tokens API
   const api = {
-    version: REGISTRY_CONFIG.version,
-    lastUpdated: REGISTRY_CONFIG.lastUpdated,
-    baseUrl: REGISTRY_CONFIG.baseUrl,
+    version: config.version,
+    lastUpdated: config.lastUpdated,
+    baseUrl: config.baseUrl,
     tokens,
     stats: {
       totalTokens: tokens.length
     }
   };
   
-  fs.writeFileSync(
-    path.join(REGISTRY_PATH, 'api/tokens.json'),
-    JSON.stringify(api, null, 2)
-  );
+  output.writeJson(path.join(config.outputPath, 'api/tokens.json'), api);
   
   console.log(`🎨 Generated ${tokens.length} token files`);
   return tokens;
 }
 
-function buildRegistryIndex(components, templates, providers, tokens) {
+function buildGraphRegistry(components, providers, config = REGISTRY_CONFIG) {
+  console.log('🔗 Building dependency graph...');
+  
+  const graph = buildDependencyGraph(components, providers);
+  
+  const api = {
+    version: config.version,
+    lastUpdated: config.lastUpdated,
+    baseUrl: config.baseUrl,
+    ...graph
+  };
+  
+  output.writeJson(path.join(config.outputPath, 'api/graph.json'), api);
+  
+  Object.entries(graph.components)
+    .filter(([, node]) => node.resolved.components.length > 0)
+    .forEach(([name, node]) => {
+      console.log(`  🔗 ${name} → ${node.resolved.components.join(', ')}`);
+    });
+  
+  console.log(`🔗 Resolved dependencies for ${components.length} components and ${providers.length} providers`);
+  return graph;
+}
+
+// Files below `dir`, relative to the registry root
+function listGeneratedFiles(dir, config) {
+  const absolute = path.join(config.outputPath, dir);
+  if (!fs.existsSync(absolute)) {
+    return [];
+  }
+  return fs.readdirSync(absolute).sort().flatMap(entry => {
+    const relative = path.posix.join(dir, entry);
+    return fs.statSync(path.join(config.outputPath, relative)).isDirectory()
+      ? listGeneratedFiles(relative, config)
+      : [relative];
+  });
+}
+
+// api/search.json plus a lookup file per facet value (api/categories/forms.json, ...)
+function buildSearchIndex(components, config = REGISTRY_CONFIG) {
+  console.log('🔎 Building search index...');
+  
+  const header = {
+    version: config.version,
+    lastUpdated: config.lastUpdated,
+    baseUrl: config.baseUrl
+  };
+  const summaries = new Map(components.map(component => [component.name, componentSummary(component)]));
+  const facets = collectFacets(components);
+  const facetFiles = [];
+  const facetIndex = {};
+  
+  Object.entries(facets).forEach(([facet, values]) => {
+    facetIndex[facet] = {};
+    Object.entries(values).forEach(([value, names]) => {
+      const file = facetFilePath(facet, value);
+      output.writeJson(path.join(config.outputPath, file), {
+        ...header,
+        facet,
+        value,
+        components: names.map(name => summaries.get(name))
+      });
+      facetFiles.push(file);
+      facetIndex[facet][value] = { count: names.length, url: `${config.baseUrl}/${file}` };
+    });
+  });
+  
+  // Values no component has any more
+  Object.values(FACETS).forEach(({ dir }) => {
+    listGeneratedFiles(`api/${dir}`, config)
+      .filter(file => !facetFiles.includes(file))
+      .forEach(file => {
+        output.removeFile(path.join(config.outputPath, file));
+        console.log(`  🗑️  Removed ${file}`);
+      });
+  });
+  
+  const index = output.writeJson(path.join(config.outputPath, 'api/search.json'), {
+    ...header,
+    fields: SEARCH_FIELDS,
+    components: [...summaries.values()],
+    terms: buildTermIndex(components),
+    facets: facetIndex
+  });
+  
+  console.log(`🔎 Indexed ${Object.keys(index.terms).length} terms and ${facetFiles.length} facet values`);
+  return index;
+}
+
+function buildChangelog(changes, config = REGISTRY_CONFIG) {
+  console.log('📝 Building changelog...');
+  
+  const changelog = output.writeJson(path.join(config.outputPath, 'api/changelog.json'), {
+    version: config.version,
+    lastUpdated: config.lastUpdated,
+    baseUrl: config.baseUrl,
+    releases: updateChangelog(readChangelogReleases(config), config.version, config.lastUpdated, changes)
+  });
+  
+  changes.forEach(change => {
+    const versions = [change.from, change.to].filter(Boolean).join(' → ');
+    console.log(`  📝 ${change.kind}/${change.name}: ${change.type}${change.bump ? ` (${change.bump})` : ''} ${versions}`);
+  });
+  
+  console.log(`📝 ${changes.length} item changes in ${config.version}`);
+  return changelog;
+}
+
+// Freeze the built registry as v/<version>/ with URLs pointing into it
+function buildSnapshot(config = REGISTRY_CONFIG) {
+  console.log(`📸 Snapshotting registry ${config.version}...`);
+  
+  const snapshot = writeSnapshot(output, config);
+  
+  if (snapshot.conflicts.length > 0) {
+    throw new Error(
+      `Snapshot ${config.version} already exists with different content (${snapshot.conflicts.join(', ')}); bump the registry version to publish these changes`
+    );
+  }
+  
+  console.log(`📸 ${snapshot.written} files written to ${path.relative(config.outputPath, snapshot.path)}`);
+  return snapshot;
+}
+
+function buildVersionsIndex(config = REGISTRY_CONFIG) {
+  console.log('🏷️  Building versions index...');
+  
+  const versions = listSnapshots(config);
+  
+  const api = output.writeJson(path.join(config.outputPath, 'api/versions.json'), {
+    version: config.version,
+    lastUpdated: config.lastUpdated,
+    baseUrl: config.baseUrl,
+    latest: versions.length > 0 ? versions[0].version : null,
+    versions
+  });
+  
+  console.log(`🏷️  ${versions.length} registry versions available${versions.length > 0 ? `: ${versions.map(v => v.version).join(', ')}` : ''}`);
+  return api;
+}
+
+// One pack with the whole registry and one per template, for offline installs
+function buildPacks(templates, config = REGISTRY_CONFIG) {
+  console.log('📦 Building registry packs...');
+  
+  const [registry, ...templatePacks] = createPacks(
+    listSnapshotFiles(config.outputPath),
+    file => fs.readFileSync(path.join(config.outputPath, file), 'utf8'),
+    { version: config.version, baseUrl: config.baseUrl, templates: templates.map(template => template.name) }
+  );
+  
+  [registry, ...templatePacks].forEach(pack => {
+    output.writeFile(path.join(config.outputPath, pack.path), pack.content);
+    console.log(`  📦 ${pack.entry.name}: ${pack.entry.files} files, ${pack.entry.size} bytes`);
+  });
+  
+  console.log(`📦 Built ${templatePacks.length + 1} packs`);
+  return { registry: registry.entry, templates: templatePacks.map(pack => pack.entry) };
+}
+
+function buildRegistryIndex(components, templates, providers, tokens, config = REGISTRY_CONFIG, packs = null) {
   console.log('📋 Building registry index...');
   
-  const index = {
-    version: REGISTRY_CONFIG.version,
-    lastUpdated: REGISTRY_CONFIG.lastUpdated,
-    baseUrl: REGISTRY_CONFIG.baseUrl,
+  const index = output.writeJson(path.join(config.outputPath, 'api/index.json'), {
+    version: config.version,
+    lastUpdated: config.lastUpdated,
+    baseUrl: config.baseUrl,
     stats: {
       components: components.length,
       templates: templates.length,
@@ -471,19 +864,19 @@ function buildRegistryIndex(components, templates, providers, tokens) {
       totalDependencies: [...new Set(components.flatMap(c => c.dependencies))].length
     },
     endpoints: {
-      components: `${REGISTRY_CONFIG.baseUrl}/api/components.json`,
-      templates: `${REGISTRY_CONFIG.baseUrl}/api/templates.json`,
-      providers: `${REGISTRY_CONFIG.baseUrl}/api/providers.json`,
-      tokens: `${REGISTRY_CONFIG.baseUrl}/api/tokens.json`
+      components: `${config.baseUrl}/api/components.json`,
+      templates: `${config.baseUrl}/api/templates.json`,
+      providers: `${config.baseUrl}/api/providers.json`,
+      tokens: `${config.baseUrl}/api/tokens.json`,
+      graph: `${config.baseUrl}/api/graph.json`,
+      changelog: `${config.baseUrl}/api/changelog.json`,
+      versions: `${config.baseUrl}/api/versions.json`,
+      search: `${config.baseUrl}/api/search.json`
     },
+    ...(packs && { packs }),
     categories: [...new Set(components.map(c => c.category))],
     dependencies: [...new Set(components.flatMap(c => c.dependencies))].sort()
-  };
-  
-  fs.writeFileSync(
-    path.join(REGISTRY_PATH, 'api/index.json'),
-    JSON.stringify(index, null, 2)
-  );
+  });
   
   console.log('📋 Registry index created');
   return index;
@@ -492,31 +885,70 @@ function buildRegistryIndex(components, templates, providers, tokens) {
 async function main() {
   console.log('🏗️  Building Complete RNCanopy Registry...\n');
   
+  const config = loadRegistryConfig(process.argv.slice(2));
+  if (config.configFile) {
+    console.log(`⚙️  Using config: ${config.configFile}\n`);
+  }
+  
+  output = createBuildOutput({ root: config.outputPath, check: config.check });
+  itemChanges = [];
+  const currentRelease = readChangelogReleases(config).find(release => release.version === config.version);
+  pendingChanges = currentRelease ? currentRelease.changes : [];
+  
   // Ensure API directory exists
-  const apiDir = path.join(REGISTRY_PATH, 'api');
+  const apiDir = path.join(config.outputPath, 'api');
   if (!fs.existsSync(apiDir)) {
     fs.mkdirSync(apiDir, { recursive: true });
   }
+  publishHostFiles(config);
   
   // Build all registries with enhanced analysis
-  const components = buildComponentRegistry();
+  const components = buildComponentRegistry(config);
+  console.log();
+  const providers = buildProviderRegistry(config);
   console.log();
-  const templates = buildTemplateRegistry();
+  const templates = buildTemplateRegistry(config, components, providers);
   console.log();
-  const providers = buildProviderRegistry();
+  const tokens = buildTokenRegistry(config);
   console.log();
-  const tokens = buildTokenRegistry();
+  buildGraphRegistry(components, providers, config);
   console.log();
-  const index = buildRegistryIndex(components, templates, providers, tokens);
+  buildSearchIndex(components, config);
+  console.log();
+  buildChangelog(itemChanges, config);
+  console.log();
+  const packs = buildPacks(templates, config);
+  console.log();
+  const index = buildRegistryIndex(components, templates, providers, tokens, config, packs);
+  if (config.snapshot) {
+    console.log();
+    buildSnapshot(config);
+  }
+  console.log();
+  buildVersionsIndex(config);
+  
+  if (config.check) {
+    if (output.changes.length > 0) {
+      console.error(`\n❌ Registry is out of date, rebuilding would change ${output.changes.length} files:`);
+      output.changes.forEach(file => console.error(`   ${file}`));
+      process.exit(1);
+    }
+    console.log('\n✅ Registry is up to date');
+    return;
+  }
   
   console.log('\n🎉 Complete Registry Build Finished!');
-  console.log(`📁 Registry: ${REGISTRY_PATH}`);
-  console.log(`🌐 Base URL: ${REGISTRY_CONFIG.baseUrl}`);
+  console.log(`📁 Registry: ${config.outputPath}`);
+  console.log(`📥 Sources: ${config.selfContained ? 'registry templates' : config.sourcePath}`);
+  console.log(`🌐 Base URL: ${config.baseUrl}`);
   console.log(`📊 Stats: ${index.stats.components} components, ${index.stats.templates} templates, ${index.stats.providers} providers, ${index.stats.tokens} tokens`);
 }
 
 if (require.main === module) {
-  main().catch(console.error);
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
 }
 
 module.exports = { 
@@ -524,8 +956,16 @@ module.exports = {
   buildTemplateRegistry, 
   buildProviderRegistry, 
   buildTokenRegistry,
+  buildGraphRegistry,
+  buildSearchIndex,
+  buildChangelog,
+  buildSnapshot,
+  buildVersionsIndex,
+  buildPacks,
   buildRegistryIndex,
   analyzeComponentFile,
   createComponentMetadata,
+  listSourceFiles,
+  loadRegistryModules,
   REGISTRY_CONFIG
 };
\ No newline at end of file
@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { loadRegistryConfig } = require('./registry-config');
+const { VERSION_STATE_FILES } = require('./item-versions');
+
+// Delete the generated API files but keep the ones per-item versions and the
+// changelog are read back from, so a rebuild does not reset them to 1.0.0
+function cleanRegistry(outputPath) {
+  const apiDir = path.join(outputPath, 'api');
+  if (!fs.existsSync(apiDir)) {
+    return [];
+  }
+
+  const removed = fs.readdirSync(apiDir)
+    .sort()
+    .filter(entry => !VERSION_STATE_FILES.includes(`api/${entry}`));
+  removed.forEach(entry => fs.rmSync(path.join(apiDir, entry), { recursive: true, force: true }));
+  return removed;
+}
+
+function main() {
+  const config = loadRegistryConfig(process.argv.slice(2));
+  const removed = cleanRegistry(config.outputPath);
+  console.log(`🧹 Removed ${removed.length} entries from api/, kept ${VERSION_STATE_FILES.join(', ')}`);
+}
+
+if (require.main === module) {
+  try {
+    main();
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+module.exports = {
+  cleanRegistry
+};
@@ -0,0 +1,108 @@
+// WCAG 2.x contrast checks for template color palettes
+
+const { COLOR_MODES, parseColor } = require('./color-utils');
+
+// Minimum contrast ratio of each conformance level, for normal-size text
+const CONTRAST_LEVELS = {
+  'AA-large': 3,
+  AA: 4.5,
+  AAA: 7
+};
+
+const DEFAULT_CONTRAST_LEVEL = 'AA';
+
+// Text colors checked on surfaces besides every X / XForeground pair
+const TEXT_PAIRS = [
+  ['foreground', 'background'],
+  ['foreground', 'card'],
+  ['mutedForeground', 'muted']
+];
+
+// Inactive controls have no contrast requirement (WCAG 1.4.3)
+const EXEMPT_SURFACES = ['disabled'];
+
+// https://www.w3.org/TR/WCAG21/#dfn-relative-luminance
+function relativeLuminance([r, g, b]) {
+  const [red, green, blue] = [r, g, b].map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * red + 0.7152 * green + 0.0722 * blue;
+}
+
+// Contrast ratio of two colors, 1 to 21, or null when either is not a hex color
+function contrastRatio(foreground, background) {
+  const colors = [parseColor(foreground), parseColor(background)];
+  if (colors.includes(null)) {
+    return null;
+  }
+  const [lighter, darker] = colors.map(relativeLuminance).sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+}
+
+// Highest level a ratio meets, or "fail"
+function contrastLevel(ratio) {
+  const met = Object.keys(CONTRAST_LEVELS).filter(level => ratio >= CONTRAST_LEVELS[level]);
+  return met.length > 0 ? met[met.length - 1] : 'fail';
+}
+
+// [foreground, background] color names checked in one palette
+function contrastPairs(palette) {
+  const pairs = Object.keys(palette)
+    .filter(name => !name.endsWith('Foreground') && !EXEMPT_SURFACES.includes(name))
+    .filter(name => palette[`${name}Foreground`] !== undefined)
+    .map(name => [`${name}Foreground`, name]);
+
+  TEXT_PAIRS.forEach(([foreground, background]) => {
+    const known = pairs.some(pair => pair[0] === foreground && pair[1] === background);
+    if (!known && palette[foreground] !== undefined && palette[background] !== undefined) {
+      pairs.push([foreground, background]);
+    }
+  });
+
+  return pairs;
+}
+
+// { <mode>: [{ foreground, background, ratio, level }] } for a template's colors.json
+function auditColors(colors) {
+  const audit = {};
+
+  COLOR_MODES.filter(mode => colors[mode]).forEach(mode => {
+    const palette = colors[mode];
+    audit[mode] = contrastPairs(palette)
+      .map(([foreground, background]) => ({ foreground, background, ratio: contrastRatio(palette[foreground], palette[background]) }))
+      .filter(pair => pair.ratio !== null)
+      .map(pair => ({ ...pair, ratio: Math.floor(pair.ratio * 100) / 100, level: contrastLevel(pair.ratio) }));
+  });
+
+  return audit;
+}
+
+// The weakest pair across all modes decides the palette's level
+function summarizeContrast(audit) {
+  const ratios = Object.values(audit).flat().map(pair => pair.ratio);
+  const minimumRatio = ratios.length > 0 ? Math.min(...ratios) : null;
+  return {
+    level: minimumRatio === null ? null : contrastLevel(minimumRatio),
+    minimumRatio,
+    ...audit
+  };
+}
+
+// Pairs below the given level, with their mode
+function findContrastFailures(audit, level = DEFAULT_CONTRAST_LEVEL) {
+  return Object.entries(audit).flatMap(([mode, pairs]) => pairs
+    .filter(pair => pair.ratio < CONTRAST_LEVELS[level])
+    .map(pair => ({ mode, ...pair })));
+}
+
+module.exports = {
+  CONTRAST_LEVELS,
+  DEFAULT_CONTRAST_LEVEL,
+  contrastRatio,
+  contrastLevel,
+  contrastPairs,
+  auditColors,
+  summarizeContrast,
+  findContrastFailures
+};
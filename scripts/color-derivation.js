@@ -0,0 +1,140 @@
+// Fills theme colors a template palette does not define from the ones it does,
+// so every key the components read exists in both color modes
+
+const { COLOR_MODES, parseColor, toHex } = require('./color-utils');
+const { contrastRatio } = require('./color-contrast');
+
+// How far a tint moves from its base color toward the background
+const MUTED_TINT = 0.85;
+const SUBTLE_TINT = 0.7;
+const DISABLED_TINT = 0.25;
+
+// Scrims darken light backgrounds and lighten dark ones
+const OVERLAYS = {
+  light: 'rgba(0, 0, 0, 0.6)',
+  dark: 'rgba(255, 255, 255, 0.1)'
+};
+
+// `color` moved toward `target` by `amount` (0-1), or null unless both are hex colors
+function mixColors(color, target, amount) {
+  const [from, to] = [parseColor(color), parseColor(target)];
+  if (!from || !to) {
+    return null;
+  }
+  return toHex(from.map((channel, i) => channel + (to[i] - channel) * amount));
+}
+
+function isDark(color) {
+  return contrastRatio(color, '#ffffff') > contrastRatio(color, '#000000');
+}
+
+// A key copied from another one the palette has
+function alias(key, source) {
+  return { rule: 'alias', sources: name => (name === key ? [source] : null), derive: (palette, [from]) => palette[from] };
+}
+
+// Rules for a missing key, tried in order: named keys before suffix patterns.
+// `sources` lists the palette keys a rule reads (null when it does not apply to
+// the key); the first rule whose sources all exist and that yields a value wins.
+const DERIVATION_RULES = [
+  alias('inputBackground', 'input'),
+  alias('inputBackground', 'background'),
+  alias('focus', 'ring'),
+  alias('focus', 'primary'),
+  {
+    rule: 'disabled',
+    sources: key => (key === 'disabled' ? ['muted', 'mutedForeground'] : null),
+    derive: (palette, [muted, text]) => mixColors(palette[muted], palette[text], DISABLED_TINT)
+  },
+  alias('disabledForeground', 'mutedForeground'),
+  {
+    rule: 'overlay',
+    sources: key => (key === 'overlay' ? ['background'] : null),
+    derive: palette => (parseColor(palette.background) ? OVERLAYS[isDark(palette.background) ? 'dark' : 'light'] : null)
+  },
+  {
+    rule: 'muted',
+    sources: key => (/^\w+Muted$/.test(key) ? [key.replace(/Muted$/, ''), 'background'] : null),
+    derive: (palette, [base]) => mixColors(palette[base], palette.background, MUTED_TINT)
+  },
+  {
+    rule: 'subtle',
+    sources: key => (/^\w+Subtle$/.test(key) ? [key.replace(/Subtle$/, ''), 'background'] : null),
+    derive: (palette, [base]) => mixColors(palette[base], palette.background, SUBTLE_TINT)
+  },
+  {
+    // Whichever of the text colors reads better on the base
+    rule: 'foreground',
+    sources: key => (/^\w+Foreground$/.test(key) ? [...new Set([key.replace(/Foreground$/, ''), 'foreground', 'background'])] : null),
+    derive: (palette, [base]) => {
+      const [foreground, background] = [palette.foreground, palette.background]
+        .map(text => ({ text, ratio: contrastRatio(text, palette[base]) }));
+      if (foreground.ratio === null || background.ratio === null) {
+        return null;
+      }
+      return foreground.ratio >= background.ratio ? foreground.text : background.text;
+    }
+  }
+];
+
+// { value, rule, from } for the first rule that can fill `key`, or null
+function deriveColor(palette, key) {
+  for (const { rule, sources, derive } of DERIVATION_RULES) {
+    const from = sources(key);
+    if (from && from.every(source => palette[source] !== undefined)) {
+      const value = derive(palette, from);
+      if (value) {
+        return { value, rule, from };
+      }
+    }
+  }
+  return null;
+}
+
+// Fill the `keys` a palette lacks. Derived colors can feed later rules, so
+// the rules run until no missing key can be filled.
+function deriveMissingColors(palette, keys) {
+  const filled = { ...palette };
+  const derived = {};
+  let missing = keys.filter(key => filled[key] === undefined);
+  let progress = true;
+
+  while (missing.length > 0 && progress) {
+    progress = false;
+    missing = missing.filter(key => {
+      const result = deriveColor(filled, key);
+      if (!result) {
+        return true;
+      }
+      filled[key] = result.value;
+      derived[key] = { rule: result.rule, from: result.from };
+      progress = true;
+      return false;
+    });
+  }
+
+  return { palette: filled, derived, missing };
+}
+
+// A template's colors.json with `keys` filled in both modes, plus per mode
+// what was derived and what could not be
+function deriveTemplateColors(colors, keys) {
+  const result = { colors: { ...colors }, derived: {}, missing: {} };
+
+  COLOR_MODES.forEach(mode => {
+    const { palette, derived, missing } = deriveMissingColors(colors[mode] || {}, keys);
+    result.colors[mode] = palette;
+    result.derived[mode] = derived;
+    result.missing[mode] = missing;
+  });
+
+  return result;
+}
+
+module.exports = {
+  DERIVATION_RULES,
+  mixColors,
+  deriveColor,
+  deriveMissingColors,
+  deriveTemplateColors
+};
@@ -0,0 +1,57 @@
+// Color modes and color conversions shared by the template color scripts
+
+const COLOR_MODES = ['light', 'dark'];
+
+// [r, g, b] in 0-255 for #rgb / #rrggbb, or null for anything else
+function parseColor(value) {
+  const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const hex = match[1].length === 3 ? match[1].replace(/./g, digit => digit + digit) : match[1];
+  return [0, 2, 4].map(offset => parseInt(hex.slice(offset, offset + 2), 16));
+}
+
+// #rrggbb for [r, g, b], channels rounded and clamped to 0-255
+function toHex(rgb) {
+  return `#${rgb.map(channel => Math.round(Math.min(255, Math.max(0, channel))).toString(16).padStart(2, '0')).join('')}`;
+}
+
+// [hue (0-360), saturation (0-1), lightness (0-1)] for [r, g, b]
+function toHsl([r, g, b]) {
+  const [red, green, blue] = [r, g, b].map(channel => channel / 255);
+  const max = Math.max(red, green, blue);
+  const min = Math.min(red, green, blue);
+  const lightness = (max + min) / 2;
+  if (max === min) {
+    return [0, 0, lightness];
+  }
+  const delta = max - min;
+  const saturation = lightness > 0.5 ? delta / (2 - max - min) : delta / (max + min);
+  let hue;
+  if (max === red) {
+    hue = (green - blue) / delta + (green < blue ? 6 : 0);
+  } else if (max === green) {
+    hue = (blue - red) / delta + 2;
+  } else {
+    hue = (red - green) / delta + 4;
+  }
+  return [hue * 60, saturation, lightness];
+}
+
+// #rrggbb for [hue, saturation, lightness]
+function fromHsl([hue, saturation, lightness]) {
+  const chroma = (1 - Math.abs(2 * lightness - 1)) * saturation;
+  return toHex([0, 8, 4].map(n => {
+    const k = (n + hue / 30) % 12;
+    return (lightness - chroma / 2 * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255;
+  }));
+}
+
+module.exports = {
+  COLOR_MODES,
+  parseColor,
+  toHex,
+  toHsl,
+  fromHsl
+};
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'manifest.json';
+const MAIN_FILE = 'component.tsx.template';
+
+const FILE_TYPES = ['component', 'hook', 'types', 'test', 'example'];
+
+// Metadata an author can set in manifest.json instead of relying on the
+// builder's defaults. Allowed values live in schemas/common.schema.json.
+const METADATA_FIELDS = ['displayName', 'description', 'category', 'tags', 'platforms', 'status'];
+
+// Used for fields the manifest leaves out
+const METADATA_DEFAULTS = {
+  category: 'other',
+  tags: [],
+  platforms: ['ios', 'android', 'web'],
+  status: 'stable'
+};
+
+// Files whose imports and exports make up the component; tests and examples
+// are optional extras that record the registry items they import on their
+// own files[] entry
+const ANALYZED_TYPES = ['component', 'hook', 'types'];
+
+// The main file installs as <Name>.tsx, everything else at its own path
+function defaultTarget(filePath, componentName) {
+  return filePath === MAIN_FILE ? `${componentName}.tsx` : filePath.replace(/\.template$/, '');
+}
+
+function readManifestFile(componentDir) {
+  const manifestPath = path.join(componentDir, MANIFEST_FILE);
+  return fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : {};
+}
+
+// "GradientButton" -> "Gradient Button"
+function defaultDisplayName(componentName) {
+  return componentName.charAt(0).toUpperCase() + componentName.slice(1).replace(/([a-z0-9])([A-Z])/g, '$1 $2');
+}
+
+// Authored metadata from components/<Name>/manifest.json merged over the defaults
+function readComponentMetadata(componentDir, componentName) {
+  const manifest = readManifestFile(componentDir);
+  const displayName = manifest.displayName || defaultDisplayName(componentName);
+  const metadata = {
+    ...METADATA_DEFAULTS,
+    displayName,
+    description: `${displayName} component`
+  };
+
+  METADATA_FIELDS.filter(field => manifest[field] !== undefined).forEach(field => {
+    metadata[field] = manifest[field];
+  });
+
+  return metadata;
+}
+
+// Files a component ships, from components/<Name>/manifest.json when present.
+// The main component file always comes first, whether or not it is listed.
+function readComponentManifest(componentDir, componentName) {
+  const declared = readManifestFile(componentDir).files || [];
+
+  const seen = new Set();
+  const files = [];
+  const main = declared.find(file => file.path === MAIN_FILE) || { path: MAIN_FILE, type: 'component' };
+
+  [main, ...declared.filter(file => file !== main)].forEach(file => {
+    if (!FILE_TYPES.includes(file.type)) {
+      throw new Error(`${componentName}/${MANIFEST_FILE}: unknown file type "${file.type}" for ${file.path}`);
+    }
+    if (seen.has(file.path)) {
+      throw new Error(`${componentName}/${MANIFEST_FILE}: ${file.path} is listed twice`);
+    }
+    seen.add(file.path);
+
+    files.push({
+      path: file.path,
+      type: file.type,
+      target: file.target || defaultTarget(file.path, componentName),
+      ...(file.source && { source: file.source })
+    });
+  });
+
+  return files;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  MAIN_FILE,
+  FILE_TYPES,
+  ANALYZED_TYPES,
+  METADATA_FIELDS,
+  METADATA_DEFAULTS,
+  readComponentMetadata,
+  readComponentManifest
+};
@@ -0,0 +1,429 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { loadRegistryConfig, parseArgs } = require('./registry-config');
+const { createSchemaValidator, describeSchemaError } = require('./schema-validation');
+const {
+  CONTRAST_LEVELS,
+  DEFAULT_CONTRAST_LEVEL,
+  contrastRatio,
+  auditColors,
+  summarizeContrast,
+  findContrastFailures
+} = require('./color-contrast');
+const { parseColor, toHsl, fromHsl } = require('./color-utils');
+
+const TEMPLATE_SCHEMA = JSON.parse(fs.readFileSync(path.join(__dirname, '../schemas/template.schema.json'), 'utf8'));
+
+// Allowed values of each personality trait, as the schema defines them
+const PERSONALITY_TRAITS = Object.fromEntries(Object.entries(TEMPLATE_SCHEMA.properties.personality.properties)
+  .map(([trait, { enum: values }]) => [trait, values]));
+
+const CLI_FLAGS = {
+  '--primary': 'primary',
+  '--secondary': 'secondary',
+  '--mood': 'mood',
+  '--spacing': 'spacing',
+  '--roundness': 'roundness',
+  '--elevation': 'elevation',
+  '--display-name': 'displayName',
+  '--description': 'description',
+  '--author': 'author',
+  '--contrast': 'contrast',
+  '--config': 'config'
+};
+
+const DEFAULT_AUTHOR = 'RNCanopy Team';
+const INITIAL_TEMPLATE_VERSION = '1.0.0';
+
+// Spacing scale steps; a step is worth `unit` points (step 4 = 4 units)
+const SPACING_STEPS = ['0', '0.5', '1', '1.5', '2', '2.5', '3', '3.5', '4', '5', '6', '7', '8', '9', '10', '12', '16', '20', '24', '32', '40', '48', '56', '64'];
+const SPACING_UNITS = { compact: 2, comfortable: 4, spacious: 6 };
+
+// Radii are multiples of a unit set by the roundness
+const RADIUS_STEPS = { xs: 1, sm: 2, md: 3, lg: 4, xl: 6, '2xl': 8, '3xl': 12 };
+const RADIUS_UNITS = { sharp: 2, rounded: 4, organic: 8 };
+
+// Component sizes and type scale follow the spacing density
+const SIZE_SCALES = {
+  compact: [16, 20, 24, 28, 32, 36, 40, 48, 56],
+  comfortable: [20, 28, 36, 44, 52, 60, 72, 88, 104],
+  spacious: [24, 32, 40, 48, 56, 64, 76, 92, 108]
+};
+const SIZE_NAMES = ['xs', 'sm', 'md', 'lg', 'xl', '2xl', '3xl', '4xl', '5xl'];
+
+const TYPE_SCALES = {
+  compact: {
+    fontSizes: [11, 12, 14, 16, 18, 20, 24, 28, 36, 48],
+    lineHeights: [1.2, 1.3, 1.4, 1.5, 1.8],
+    letterSpacings: [-0.25, -0.1, 0, 0.1, 0.25, 0.5]
+  },
+  comfortable: {
+    fontSizes: [12, 14, 16, 18, 20, 24, 30, 36, 48, 60],
+    lineHeights: [1.25, 1.375, 1.5, 1.625, 2],
+    letterSpacings: [-0.5, -0.25, 0, 0.25, 0.5, 1]
+  },
+  spacious: {
+    fontSizes: [14, 16, 18, 20, 22, 26, 32, 38, 50, 62],
+    lineHeights: [1.3, 1.45, 1.6, 1.75, 2.1],
+    letterSpacings: [-0.3, -0.15, 0, 0.3, 0.6, 1.5]
+  }
+};
+const FONT_SIZE_NAMES = ['xs', 'sm', 'md', 'lg', 'xl', '2xl', '3xl', '4xl', '5xl', '6xl'];
+const LINE_HEIGHT_NAMES = ['tight', 'snug', 'normal', 'relaxed', 'loose'];
+const LETTER_SPACING_NAMES = ['tighter', 'tight', 'normal', 'wide', 'wider', 'widest'];
+
+const FONTS = { sans: 'System', serif: 'Georgia', mono: 'Menlo', heading: 'System', body: 'System' };
+const FONT_WEIGHTS = {
+  thin: '100', extraLight: '200', light: '300', normal: '400', medium: '500',
+  semiBold: '600', bold: '700', extraBold: '800', black: '900'
+};
+
+// Shadow offsets, blurs and opacities per elevation, xs through 2xl and inner
+const SHADOW_SCALES = {
+  flat: { offsets: [1, 1, 2, 4, 8, 12], blurs: [1, 2, 4, 8, 16, 24], opacities: [0.05, 0.08, 0.1, 0.12, 0.15, 0.18], inner: [1, 2, 0.05] },
+  soft: { offsets: [1, 1, 4, 10, 20, 25], blurs: [2, 3, 6, 15, 25, 50], opacities: [0.05, 0.1, 0.1, 0.1, 0.1, 0.25], inner: [2, 4, 0.06] },
+  dramatic: { offsets: [2, 4, 8, 16, 24, 32], blurs: [4, 8, 16, 32, 48, 64], opacities: [0.15, 0.25, 0.35, 0.45, 0.55, 0.65], inner: [4, 8, 0.25] }
+};
+const SHADOW_NAMES = ['xs', 'sm', 'md', 'lg', 'xl', '2xl'];
+const SHADOW_INTENSITIES = { flat: 'none', soft: 'medium', dramatic: 'heavy' };
+
+const BORDER_WIDTHS = {
+  flat: { none: 0, hairline: 0.5, thin: 1, normal: 1, thick: 2, extraThick: 3 },
+  soft: { none: 0, hairline: 0.5, thin: 1, normal: 1.5, thick: 2, extraThick: 4 },
+  dramatic: { none: 0, hairline: 0.5, thin: 1, normal: 2, thick: 3, extraThick: 4 }
+};
+
+// Motion and opacity follow the mood
+const DURATIONS = {
+  minimal: [150, 200, 300, 450],
+  professional: [200, 300, 500, 750],
+  playful: [150, 250, 350, 500],
+  dramatic: [150, 250, 400, 600],
+  warm: [250, 400, 600, 850],
+  organic: [250, 400, 600, 850]
+};
+const OPACITIES = {
+  minimal: [0.2, 0.3, 0.5, 0.7, 0.8],
+  professional: [0.25, 0.4, 0.6, 0.8, 0.9],
+  playful: [0.25, 0.4, 0.6, 0.8, 0.9],
+  dramatic: [0.2, 0.35, 0.55, 0.75, 0.85],
+  warm: [0.3, 0.45, 0.65, 0.85, 0.95],
+  organic: [0.3, 0.45, 0.65, 0.85, 0.95]
+};
+
+const EASINGS = {
+  linear: 'linear',
+  ease: 'ease',
+  easeIn: 'ease-in',
+  easeOut: 'ease-out',
+  easeInOut: 'ease-in-out',
+  spring: 'cubic-bezier(0.68, -0.55, 0.265, 1.55)',
+  smooth: 'cubic-bezier(0.4, 0, 0.2, 1)'
+};
+
+// How strongly the neutrals (background, card, muted, border) take the primary hue
+const NEUTRAL_SATURATION = { minimal: 0.05, professional: 0.1, playful: 0.2, dramatic: 0.12, warm: 0.3, organic: 0.2 };
+
+const NEUTRAL_LIGHTNESS = {
+  light: { background: 0.99, card: 0.97, muted: 0.94, border: 0.87, foreground: 0.12, mutedForeground: 0.4, secondary: 0.45, accent: 0.92 },
+  dark: { background: 0.08, card: 0.12, muted: 0.17, border: 0.24, foreground: 0.96, mutedForeground: 0.7, secondary: 0.6, accent: 0.22 }
+};
+
+const STATUS_HUES = { destructive: 0, success: 142, warning: 38, info: 199 };
+const STATUS_SATURATION = 0.75;
+const STATUS_LIGHTNESS = { light: 0.45, dark: 0.6 };
+
+const SHADE_LIGHTNESS = { 50: 0.97, 100: 0.94, 200: 0.86, 300: 0.77, 400: 0.66, 500: 0.55, 600: 0.45, 700: 0.37, 800: 0.29, 900: 0.22 };
+
+// Palette keys in the order the shipped templates list them
+const PALETTE_KEYS = [
+  'primary', 'primaryForeground', 'secondary', 'secondaryForeground', 'background', 'foreground',
+  'card', 'cardForeground', 'muted', 'mutedForeground', 'accent', 'accentForeground',
+  'destructive', 'destructiveForeground', 'border', 'input', 'ring',
+  'success', 'successForeground', 'warning', 'warningForeground', 'info', 'infoForeground'
+];
+
+const zip = (names, values) => Object.fromEntries(names.map((name, i) => [name, values[i]]));
+
+function hsl(color) {
+  return toHsl(parseColor(color));
+}
+
+// `color` with its lightness pushed away from `against` until the pair reaches
+// `ratio`, or as far as it goes (black or white)
+function withContrast(color, against, ratio) {
+  const [hue, saturation, lightness] = hsl(color);
+  const step = hsl(against)[2] > lightness ? -0.01 : 0.01;
+  let adjusted = color;
+  for (let l = lightness; contrastRatio(adjusted, against) < ratio && l >= 0 && l <= 1; l += step) {
+    adjusted = fromHsl([hue, saturation, Math.min(1, Math.max(0, l))]);
+  }
+  return adjusted;
+}
+
+// The candidate text color that reads best on `fill`
+function readableText(fill, candidates) {
+  return candidates.reduce((best, text) => (contrastRatio(text, fill) > contrastRatio(best, fill) ? text : best));
+}
+
+// A seed color is used as given, so it must reach the level with one of the
+// palette's text colors; otherwise the template is refused
+function checkSeed(role, seed, candidates, level) {
+  const text = readableText(seed, candidates);
+  const ratio = contrastRatio(text, seed);
+  if (ratio < CONTRAST_LEVELS[level]) {
+    const suggestion = withContrast(seed, text, CONTRAST_LEVELS[level]);
+    throw new Error(`${role} ${seed} reaches ${Math.floor(ratio * 100) / 100}:1 against its text color ${text}, below ${level} (${CONTRAST_LEVELS[level]}:1); try ${suggestion}`);
+  }
+  return text;
+}
+
+// A fill and the text on it, the fill adjusted until the pair meets the level
+function fillWithText(fill, candidates, level) {
+  const text = readableText(fill, candidates);
+  return [withContrast(fill, text, CONTRAST_LEVELS[level]), text];
+}
+
+// Light and dark palettes from the seeds. In light mode the seeds are used
+// as given; dark mode and every other color are adjusted to meet the level.
+function createPalettes({ primary, secondary }, personality, level) {
+  const [hue, saturation] = hsl(primary);
+  const neutralSaturation = NEUTRAL_SATURATION[personality.mood];
+  const palettes = {};
+
+  ['light', 'dark'].forEach(mode => {
+    const lightness = NEUTRAL_LIGHTNESS[mode];
+    const neutral = key => fromHsl([hue, neutralSaturation, lightness[key]]);
+    const palette = {
+      background: neutral('background'),
+      foreground: neutral('foreground'),
+      card: neutral('card'),
+      muted: neutral('muted'),
+      border: neutral('border')
+    };
+    const texts = [palette.foreground, palette.background];
+
+    palette.cardForeground = palette.foreground;
+    palette.mutedForeground = withContrast(neutral('mutedForeground'), palette.muted, CONTRAST_LEVELS[level]);
+    palette.input = palette.muted;
+
+    if (mode === 'light') {
+      palette.primary = primary;
+      palette.primaryForeground = checkSeed('Primary', primary, texts, level);
+    } else {
+      [palette.primary, palette.primaryForeground] = fillWithText(primary, texts, level);
+    }
+    palette.ring = palette.primary;
+
+    const secondarySeed = secondary || fromHsl([hue, Math.min(saturation, 0.15), lightness.secondary]);
+    if (secondary && mode === 'light') {
+      palette.secondary = secondary;
+      palette.secondaryForeground = checkSeed('Secondary', secondary, texts, level);
+    } else {
+      [palette.secondary, palette.secondaryForeground] = fillWithText(secondarySeed, texts, level);
+    }
+
+    [palette.accent, palette.accentForeground] = fillWithText(fromHsl([hue, saturation * 0.6, lightness.accent]), texts, level);
+
+    Object.entries(STATUS_HUES).forEach(([key, statusHue]) => {
+      [palette[key], palette[`${key}Foreground`]] = fillWithText(
+        fromHsl([statusHue, STATUS_SATURATION, STATUS_LIGHTNESS[mode]]),
+        texts,
+        level
+      );
+    });
+
+    palettes[mode] = zip(PALETTE_KEYS, PALETTE_KEYS.map(key => palette[key]));
+  });
+
+  return palettes;
+}
+
+// 50-900 shades at the seed's hue and saturation
+function createShades(color) {
+  const [hue, saturation] = hsl(color);
+  return Object.fromEntries(Object.entries(SHADE_LIGHTNESS)
+    .map(([shade, lightness]) => [shade, fromHsl([hue, saturation, lightness])]));
+}
+
+function createGradients(shades) {
+  return {
+    default: [shades[400], shades[600]],
+    subtle: [shades[50], shades[100]],
+    vibrant: [shades[300], shades[800]]
+  };
+}
+
+function createShadows(elevation, color = '0, 0, 0') {
+  const { offsets, blurs, opacities, inner } = SHADOW_SCALES[elevation];
+  return {
+    none: 'none',
+    ...zip(SHADOW_NAMES, SHADOW_NAMES.map((name, i) => `0px ${offsets[i]}px ${blurs[i]}px rgba(${color}, ${opacities[i]})`)),
+    inner: `inset 0px ${inner[0]}px ${inner[1]}px rgba(${color}, ${inner[2]})`
+  };
+}
+
+// A complete template.json from a name, a personality and one or two seed colors
+function generateTemplate({ name, displayName, description, author = DEFAULT_AUTHOR, personality, primary, secondary, level = DEFAULT_CONTRAST_LEVEL }) {
+  if (!/^[a-z][a-z0-9-]*$/.test(name || '')) {
+    throw new Error(`Invalid template name: ${name} (expected kebab-case, e.g. "ocean-breeze")`);
+  }
+  Object.entries(PERSONALITY_TRAITS).forEach(([trait, values]) => {
+    if (!values.includes(personality[trait])) {
+      throw new Error(`Invalid ${trait}: ${personality[trait]} (expected ${values.join(', ')})`);
+    }
+  });
+  [['primary', primary], ['secondary', secondary]].forEach(([role, color]) => {
+    if (color !== undefined && !/^#[0-9a-f]{6}$/i.test(color)) {
+      throw new Error(`Invalid ${role} color: ${color} (expected #rrggbb)`);
+    }
+  });
+  if (!primary) {
+    throw new Error('A primary seed color is required');
+  }
+  if (!CONTRAST_LEVELS[level]) {
+    throw new Error(`Unknown contrast level: ${level} (expected ${Object.keys(CONTRAST_LEVELS).join(', ')})`);
+  }
+
+  const seeds = { primary: primary.toLowerCase(), secondary: secondary && secondary.toLowerCase() };
+  const palettes = createPalettes(seeds, personality, level);
+
+  // Never emit a palette below the level, whatever the seeds
+  const failures = findContrastFailures(auditColors(palettes), level);
+  if (failures.length > 0) {
+    throw new Error(`Palette fails ${level}: ${failures.map(pair => `${pair.mode} ${pair.foreground} on ${pair.background} (${pair.ratio}:1)`).join(', ')}`);
+  }
+
+  const primaryShades = createShades(palettes.light.primary);
+  const secondaryShades = createShades(palettes.light.secondary);
+  const accentShades = createShades(fromHsl([hsl(seeds.primary)[0], hsl(seeds.primary)[1] * 0.6, 0.5]));
+  const spacingUnit = SPACING_UNITS[personality.spacing];
+  const radiusUnit = RADIUS_UNITS[personality.roundness];
+  const typeScale = TYPE_SCALES[personality.spacing];
+  const [fast, normal, slow, slower] = DURATIONS[personality.mood];
+  const [low, disabled, muted, high, overlay] = OPACITIES[personality.mood];
+
+  const radii = {
+    none: 0,
+    ...zip(Object.keys(RADIUS_STEPS), Object.values(RADIUS_STEPS).map(step => step * radiusUnit)),
+    full: 9999
+  };
+
+  return {
+    name,
+    displayName: displayName || name.split('-').map(word => word[0].toUpperCase() + word.slice(1)).join(' '),
+    description: description || `${personality.mood[0].toUpperCase()}${personality.mood.slice(1)} template generated from ${seeds.primary}`,
+    author,
+    version: INITIAL_TEMPLATE_VERSION,
+    personality: {
+      mood: personality.mood,
+      spacing: personality.spacing,
+      roundness: personality.roundness,
+      elevation: personality.elevation
+    },
+    tokens: {
+      colors: {
+        ...palettes,
+        gradients: {
+          primary: createGradients(primaryShades),
+          secondary: createGradients(secondaryShades),
+          accent: createGradients(accentShades)
+        },
+        shades: {
+          primary: primaryShades,
+          secondary: secondaryShades
+        }
+      },
+      radii,
+      spacing: zip(SPACING_STEPS, SPACING_STEPS.map(step => Number(step) * spacingUnit)),
+      typography: {
+        fonts: FONTS,
+        fontSizes: zip(FONT_SIZE_NAMES, typeScale.fontSizes),
+        fontWeights: FONT_WEIGHTS,
+        lineHeights: zip(LINE_HEIGHT_NAMES, typeScale.lineHeights),
+        letterSpacings: zip(LETTER_SPACING_NAMES, typeScale.letterSpacings)
+      },
+      shadows: createShadows(personality.elevation),
+      borders: {
+        widths: BORDER_WIDTHS[personality.elevation],
+        styles: { solid: 'solid', dashed: 'dashed', dotted: 'dotted' }
+      },
+      sizes: { none: 0, ...zip(SIZE_NAMES, SIZE_SCALES[personality.spacing]), full: '100%' },
+      durations: { instant: 0, fast, normal, slow, slower },
+      easings: EASINGS,
+      opacity: { invisible: 0, low, disabled, muted, high, overlay, visible: 1 }
+    },
+    preview: {
+      primary: palettes.light.primary,
+      secondary: palettes.light.secondary,
+      background: palettes.light.background,
+      surface: palettes.light.card,
+      borderRadius: radii.md,
+      shadowIntensity: SHADOW_INTENSITIES[personality.elevation]
+    }
+  };
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const options = parseArgs(argv, CLI_FLAGS);
+  const [name] = argv.filter((arg, i) => !arg.startsWith('--') && !CLI_FLAGS[argv[i - 1]]);
+
+  if (!name) {
+    console.error('Usage: node scripts/create-template.js <name> --primary <#rrggbb> [--secondary <#rrggbb>]');
+    Object.entries(PERSONALITY_TRAITS).forEach(([trait, values]) => {
+      console.error(`         --${trait} <${values.join('|')}>`);
+    });
+    console.error('         [--display-name <name>] [--description <text>] [--author <name>] [--contrast <level>] [--force]');
+    process.exit(1);
+  }
+
+  const config = loadRegistryConfig(options.config ? ['--config', options.config] : []);
+  const templatePath = path.join(config.templatesPath, name, 'template.json');
+  if (fs.existsSync(templatePath) && !options.force) {
+    throw new Error(`Template already exists: ${path.relative(process.cwd(), templatePath)} (use --force to overwrite)`);
+  }
+
+  const level = options.contrast || DEFAULT_CONTRAST_LEVEL;
+  const template = generateTemplate({
+    name,
+    displayName: options.displayName,
+    description: options.description,
+    author: options.author,
+    personality: {
+      mood: options.mood,
+      spacing: options.spacing,
+      roundness: options.roundness,
+      elevation: options.elevation
+    },
+    primary: options.primary,
+    secondary: options.secondary,
+    level
+  });
+
+  const errors = createSchemaValidator().validate('template.schema.json', template);
+  if (errors.length > 0) {
+    throw new Error(`Generated template is not schema-valid:\n${errors.map(error => `  - ${error.instancePath || '/'}: ${describeSchemaError(error)}`).join('\n')}`);
+  }
+
+  fs.mkdirSync(path.dirname(templatePath), { recursive: true });
+  fs.writeFileSync(templatePath, JSON.stringify(template, null, 2));
+
+  const { minimumRatio } = summarizeContrast(auditColors(template.tokens.colors));
+  console.log(`🎨 Created ${path.relative(process.cwd(), templatePath)} (${template.personality.mood}, ${template.personality.spacing}, ${template.personality.roundness}, ${template.personality.elevation}; contrast ${level}, min ${minimumRatio}:1)`);
+  console.log('   Run npm run build to publish its token files');
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  PERSONALITY_TRAITS,
+  generateTemplate
+};
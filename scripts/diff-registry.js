@@ -0,0 +1,203 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { parseArgs } = require('./registry-config');
+const { BUMPS, largerBump, compareItems, flattenTokenKeys, tokenFileKeys } = require('./registry-changes');
+
+const REGISTRY_PATH = path.join(__dirname, '..');
+
+const CLI_FLAGS = {
+  '--format': 'format',
+  '--fail-on': 'failOn'
+};
+
+const KINDS = ['components', 'providers', 'tokens', 'templates'];
+
+// Reads a built registry from a directory or, for anything else, a git ref
+function createRegistryReader(spec) {
+  const directory = path.resolve(spec);
+
+  if (fs.existsSync(directory) && fs.statSync(directory).isDirectory()) {
+    return {
+      label: spec,
+      exists: file => fs.existsSync(path.join(directory, file)),
+      read: file => fs.readFileSync(path.join(directory, file), 'utf8')
+    };
+  }
+
+  const git = args => execFileSync('git', args, { cwd: REGISTRY_PATH, encoding: 'utf8', stdio: ['ignore', 'pipe', 'ignore'] });
+  try {
+    git(['rev-parse', '--verify', `${spec}^{commit}`]);
+  } catch (error) {
+    throw new Error(`Not a registry directory or git ref: ${spec}`);
+  }
+
+  return {
+    label: spec,
+    exists: file => {
+      try {
+        git(['cat-file', '-e', `${spec}:${file}`]);
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+    read: file => git(['show', `${spec}:${file}`])
+  };
+}
+
+function readItems(reader, kind) {
+  const apiFile = `api/${kind}.json`;
+  return reader.exists(apiFile) ? JSON.parse(reader.read(apiFile))[kind] || [] : [];
+}
+
+// Token keys are not part of the metadata, so read them from the token files
+function withTokenKeys(reader, kind, item) {
+  if (kind === 'templates') {
+    const tokenKeys = (item.tokenFiles || []).flatMap(({ type }) => {
+      const file = `templates/${item.name}/${type}.json`;
+      return reader.exists(file) ? flattenTokenKeys(JSON.parse(reader.read(file)), type) : [];
+    });
+    return { ...item, tokenKeys };
+  }
+
+  if (kind === 'tokens') {
+    const file = `tokens/${item.name}.ts.template`;
+    return { ...item, tokenKeys: reader.exists(file) ? tokenFileKeys(reader.read(file), item.name) : [] };
+  }
+
+  return item;
+}
+
+// { <kind>: Map<name, item> } for one registry build
+function loadRegistry(reader) {
+  const registry = {};
+
+  KINDS.forEach(kind => {
+    registry[kind] = new Map(readItems(reader, kind).map(item => [item.name, withTokenKeys(reader, kind, item)]));
+  });
+
+  return registry;
+}
+
+// Every added, removed or changed item with the bump it needs
+function diffRegistries(base, head) {
+  const changes = [];
+
+  KINDS.forEach(kind => {
+    base[kind].forEach((previous, name) => {
+      if (!head[kind].has(name)) {
+        changes.push({ kind, name, type: 'removed', bump: 'major', from: previous.version, to: null });
+      }
+    });
+
+    head[kind].forEach((next, name) => {
+      const previous = base[kind].get(name);
+
+      if (!previous) {
+        changes.push({ kind, name, type: 'added', bump: 'minor', from: null, to: next.version });
+        return;
+      }
+
+      const { summary, bump } = compareItems(previous, next);
+      if (bump) {
+        changes.push({ kind, name, type: 'changed', bump, from: previous.version, to: next.version, summary });
+      }
+    });
+  });
+
+  return {
+    bump: changes.reduce((bump, change) => largerBump(bump, change.bump), null),
+    changes
+  };
+}
+
+const BUMP_ICONS = { major: '💥', minor: '✨', patch: '🔧' };
+
+function describeSummary(summary = {}) {
+  return Object.entries(summary).flatMap(([field, diff]) => [
+    ...diff.removed.map(value => `- ${field}: ${value}`),
+    ...diff.added.map(value => `+ ${field}: ${value}`),
+    ...(diff.changed || []).map(value => `~ ${field}: ${value}`)
+  ]);
+}
+
+function printReport(report) {
+  console.log(`🔍 Registry changes ${report.base} → ${report.head}\n`);
+
+  if (report.changes.length === 0) {
+    console.log('✅ No changes');
+    return;
+  }
+
+  [...BUMPS].reverse().forEach(bump => {
+    const changes = report.changes.filter(change => change.bump === bump);
+    if (changes.length === 0) {
+      return;
+    }
+
+    console.log(`${BUMP_ICONS[bump]} ${bump} (${changes.length})`);
+    changes.forEach(change => {
+      const versions = [change.from, change.to].filter(Boolean).join(' → ');
+      console.log(`  ${change.kind}/${change.name}: ${change.type}${versions ? ` (${versions})` : ''}`);
+      describeSummary(change.summary).forEach(line => console.log(`      ${line}`));
+    });
+    console.log();
+  });
+
+  console.log(`📊 Overall: ${report.bump}`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2), CLI_FLAGS);
+  const [baseSpec, headSpec = REGISTRY_PATH] = process.argv.slice(2)
+    .filter((arg, i, args) => !arg.startsWith('--') && !CLI_FLAGS[args[i - 1]]);
+  const format = options.format || 'text';
+
+  if (!baseSpec) {
+    console.error('Usage: node scripts/diff-registry.js <base> [head] [--format text|json] [--fail-on major|minor|patch]');
+    console.error('  base/head: a built registry directory or a git ref (head defaults to the working tree)');
+    process.exit(1);
+  }
+  if (!['text', 'json'].includes(format)) {
+    throw new Error(`Unknown format: ${format}`);
+  }
+  if (options.failOn && !BUMPS.includes(options.failOn)) {
+    throw new Error(`Unknown --fail-on level: ${options.failOn}`);
+  }
+
+  const baseReader = createRegistryReader(baseSpec);
+  const headReader = createRegistryReader(headSpec);
+  const report = {
+    base: baseReader.label,
+    head: headSpec === REGISTRY_PATH ? 'working tree' : headReader.label,
+    ...diffRegistries(loadRegistry(baseReader), loadRegistry(headReader))
+  };
+
+  if (format === 'json') {
+    process.stdout.write(`${JSON.stringify(report, null, 2)}\n`);
+  } else {
+    printReport(report);
+  }
+
+  // Gate releases: fail when the changes need at least the given bump
+  if (options.failOn && report.bump && BUMPS.indexOf(report.bump) >= BUMPS.indexOf(options.failOn)) {
+    console.error(`\n❌ Changes require a ${report.bump} release (--fail-on ${options.failOn})`);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  createRegistryReader,
+  loadRegistry,
+  diffRegistries
+};
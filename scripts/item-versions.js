@@ -0,0 +1,157 @@
+// Per-item semantic versions. An item keeps its version while the checksums of
+// everything it ships are unchanged; otherwise the builder bumps it according
+// to what changed in its public surface and records the change for
+// api/changelog.json.
+
+const { largerBump, contentFingerprint, compareItems } = require('./registry-changes');
+
+const INITIAL_VERSION = '1.0.0';
+
+// Files the next build reads published versions and release history from
+const VERSION_STATE_FILES = ['components', 'providers', 'tokens', 'templates', 'changelog']
+  .map(name => `api/${name}.json`);
+
+function parseVersion(version) {
+  return String(version || INITIAL_VERSION).split('.').map(Number);
+}
+
+function compareVersions(a, b) {
+  const left = parseVersion(a);
+  const right = parseVersion(b);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) {
+      return left[i] - right[i];
+    }
+  }
+  return 0;
+}
+
+function bumpVersion(version, bump) {
+  const [major, minor, patch] = parseVersion(version);
+  switch (bump) {
+    case 'major':
+      return `${major + 1}.0.0`;
+    case 'minor':
+      return `${major}.${minor + 1}.0`;
+    default:
+      return `${major}.${minor}.${patch + 1}`;
+  }
+}
+
+// Summary of two consecutive diffs; values added then removed cancel out
+function mergeSummaries(earlier = {}, later = {}) {
+  const summary = {};
+
+  new Set([...Object.keys(earlier), ...Object.keys(later)]).forEach(field => {
+    const first = earlier[field] || { added: [], removed: [] };
+    const second = later[field] || { added: [], removed: [] };
+    const added = [...first.added.filter(value => !second.removed.includes(value)), ...second.added]
+      .filter(value => !first.removed.includes(value));
+    const removed = [...first.removed.filter(value => !second.added.includes(value)), ...second.removed]
+      .filter(value => !first.added.includes(value));
+    const changed = [...(first.changed || []), ...(second.changed || [])]
+      .filter(value => !added.includes(value) && !removed.includes(value));
+
+    if (added.length > 0 || removed.length > 0) {
+      summary[field] = { added: [...new Set(added)], removed: [...new Set(removed)] };
+    }
+    if (changed.length > 0) {
+      summary[field] = { added: [], removed: [], ...summary[field], changed: [...new Set(changed)] };
+    }
+  });
+
+  return summary;
+}
+
+// Version for a freshly built item, given the metadata published by the last
+// build. `pending` is the item's entry in the not yet released changelog
+// version, so repeated builds bump once per release rather than once per build;
+// `minimum` lets an authored version (template.json) win when higher.
+// Returns { version, change } where change is null if the item is unchanged.
+function resolveItemVersion(kind, previous, next, { minimum = null, pending = null } = {}) {
+  const pick = version => (minimum && compareVersions(minimum, version) > 0 ? minimum : version);
+
+  if (!previous) {
+    const version = pick(INITIAL_VERSION);
+    return { version, change: { kind, name: next.name, type: 'added', from: null, to: version } };
+  }
+
+  if (contentFingerprint(previous) === contentFingerprint(next)) {
+    return { version: pick(previous.version), change: null };
+  }
+
+  const comparison = compareItems(previous, next);
+  const summary = comparison.summary;
+  let bump = comparison.bump || 'patch';
+  let from = previous.version;
+  let version = pick(bumpVersion(previous.version, bump));
+
+  if (pending && pending.type === 'added') {
+    version = pick(previous.version);
+  } else if (pending && pending.type === 'changed') {
+    bump = largerBump(bump, pending.bump);
+    from = pending.from;
+    version = pick(bumpVersion(pending.from, bump));
+  }
+
+  return {
+    version,
+    change: { kind, name: next.name, type: 'changed', bump, from, to: version, summary }
+  };
+}
+
+// Items published last time that the current build no longer produces
+function findRemovedItems(kind, previousItems, items) {
+  const names = new Set(items.map(item => item.name));
+  return previousItems
+    .filter(item => !names.has(item.name))
+    .map(item => ({ kind, name: item.name, type: 'removed', from: item.version, to: null }));
+}
+
+// Newest release first. Rebuilding before the registry version moves on folds
+// the new changes into that version's release, keeping each item's first `from`.
+function updateChangelog(releases, registryVersion, date, changes) {
+  if (changes.length === 0) {
+    return releases;
+  }
+
+  const existing = releases.find(release => release.version === registryVersion);
+  const merged = existing ? [...existing.changes] : [];
+
+  changes.forEach(change => {
+    const index = merged.findIndex(entry => entry.kind === change.kind && entry.name === change.name);
+    const earlier = merged[index];
+
+    if (index === -1) {
+      merged.push(change);
+    } else if (earlier.type === 'added' && change.type === 'removed') {
+      merged.splice(index, 1);
+    } else if (earlier.type === 'added') {
+      merged[index] = { ...earlier, to: change.to };
+    } else if (earlier.type === 'changed' && change.type === 'changed') {
+      // The release still has to announce the largest bump since `from`
+      merged[index] = {
+        ...change,
+        bump: largerBump(earlier.bump, change.bump),
+        from: earlier.from,
+        summary: mergeSummaries(earlier.summary, change.summary)
+      };
+    } else {
+      merged[index] = { ...change, from: earlier.from };
+    }
+  });
+
+  const release = { version: registryVersion, date, changes: merged };
+  return [release, ...releases.filter(entry => entry !== existing)];
+}
+
+module.exports = {
+  INITIAL_VERSION,
+  VERSION_STATE_FILES,
+  compareVersions,
+  bumpVersion,
+  mergeSummaries,
+  resolveItemVersion,
+  findRemovedItems,
+  updateChangelog
+};
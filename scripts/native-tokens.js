@@ -0,0 +1,132 @@
+// React Native forms of the CSS strings in a template's shadows and easings:
+// StyleSheet shadow props per level and Easing.bezier control points
+
+const { parseColor, toHex } = require('./color-utils');
+
+// A single CSS box-shadow: [inset] x y blur [spread] color, lengths in px
+const LENGTH = '(-?\\d+(?:\\.\\d+)?)px';
+const SHADOW_PATTERN = new RegExp(`^(inset )?${LENGTH} ${LENGTH} ${LENGTH}(?: ${LENGTH})? (.+)$`);
+const RGB_PATTERN = /^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*(\d*\.?\d+)\s*)?\)$/;
+const BEZIER_PATTERN = /^cubic-bezier\(\s*(-?\d*\.?\d+)\s*,\s*(-?\d*\.?\d+)\s*,\s*(-?\d*\.?\d+)\s*,\s*(-?\d*\.?\d+)\s*\)$/;
+
+// Control points of the CSS easing keywords
+const EASING_KEYWORDS = {
+  linear: [0, 0, 1, 1],
+  ease: [0.25, 0.1, 0.25, 1],
+  'ease-in': [0.42, 0, 1, 1],
+  'ease-out': [0, 0, 0.58, 1],
+  'ease-in-out': [0.42, 0, 0.58, 1]
+};
+
+// Android draws shadows from elevation alone; Material caps it at 24dp
+const MAX_ELEVATION = 24;
+
+const NO_SHADOW = {
+  shadowColor: '#000000',
+  shadowOffset: { width: 0, height: 0 },
+  shadowOpacity: 0,
+  shadowRadius: 0,
+  elevation: 0
+};
+
+// { rgb: [r, g, b], alpha } for rgb()/rgba()/hex colors, or null
+function parseShadowColor(value) {
+  const hex = parseColor(value);
+  if (hex) {
+    return { rgb: hex, alpha: 1 };
+  }
+  const match = RGB_PATTERN.exec(value);
+  if (!match) {
+    return null;
+  }
+  const rgb = match.slice(1, 4).map(Number);
+  const alpha = match[4] === undefined ? 1 : Number(match[4]);
+  return rgb.every(channel => channel <= 255) && alpha <= 1 ? { rgb, alpha } : null;
+}
+
+// { inset, x, y, blur, spread, rgb, alpha } for a box-shadow string, or null
+function parseShadow(value) {
+  const match = SHADOW_PATTERN.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+  const [x, y, blur, spread = 0] = match.slice(2, 6).map(length => (length === undefined ? undefined : Number(length)));
+  const color = parseShadowColor(match[6]);
+  if (!color || blur < 0) {
+    return null;
+  }
+  return { inset: Boolean(match[1]), x, y, blur, spread, ...color };
+}
+
+// StyleSheet props for a shadow level; null for inset shadows, which React
+// Native cannot draw, and undefined when the string does not parse.
+// Spread has no native equivalent and is dropped.
+function nativeShadow(value) {
+  if (value === 'none') {
+    return NO_SHADOW;
+  }
+  const shadow = parseShadow(value);
+  if (!shadow) {
+    return undefined;
+  }
+  if (shadow.inset) {
+    return null;
+  }
+  // CSS blur is twice the Gaussian deviation iOS takes as shadowRadius
+  const shadowRadius = shadow.blur / 2;
+  return {
+    shadowColor: toHex(shadow.rgb),
+    shadowOffset: { width: shadow.x, height: shadow.y },
+    shadowOpacity: shadow.alpha,
+    shadowRadius,
+    elevation: Math.min(MAX_ELEVATION, Math.round(shadowRadius))
+  };
+}
+
+// [x1, y1, x2, y2] for Easing.bezier, or undefined when the string does not parse
+function nativeEasing(value) {
+  const keyword = EASING_KEYWORDS[String(value).trim()];
+  if (keyword) {
+    return keyword;
+  }
+  const match = BEZIER_PATTERN.exec(String(value).trim());
+  if (!match) {
+    return undefined;
+  }
+  const points = match.slice(1).map(Number);
+  // Time (x) must stay within the animation
+  return [points[0], points[2]].every(x => x >= 0 && x <= 1) ? points : undefined;
+}
+
+const CONVERTERS = {
+  shadows: nativeShadow,
+  easings: nativeEasing
+};
+
+// { tokens: { shadows, easings }, invalid: ['<group>.<key>'] } for a template's
+// tokens; groups the template lacks are left out
+function buildNativeTokens(tokens) {
+  const result = { tokens: {}, invalid: [] };
+
+  Object.entries(CONVERTERS).filter(([group]) => tokens[group]).forEach(([group, convert]) => {
+    result.tokens[group] = {};
+    Object.entries(tokens[group]).forEach(([key, value]) => {
+      const converted = convert(value);
+      if (converted === undefined) {
+        result.invalid.push(`${group}.${key}`);
+      } else {
+        result.tokens[group][key] = converted;
+      }
+    });
+  });
+
+  return result;
+}
+
+module.exports = {
+  EASING_KEYWORDS,
+  parseShadow,
+  nativeShadow,
+  nativeEasing,
+  buildNativeTokens
+};
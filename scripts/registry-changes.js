@@ -0,0 +1,134 @@
+// How a registry item changed between two builds and what semver bump that
+// needs. Shared by the builder (per-item versions) and diff-registry.js.
+
+const { parseSource, collectExportedConstants } = require('./analyze-source');
+
+const BUMPS = ['patch', 'minor', 'major'];
+
+// List fields compared between builds, with the bump an addition or removal needs
+const LIST_FIELDS = {
+  exports: { read: item => item.exports, added: 'minor', removed: 'major' },
+  variants: { read: item => item.variants, added: 'minor', removed: 'major' },
+  sizes: { read: item => item.sizes, added: 'minor', removed: 'major' },
+  props: { read: item => item.props && item.props.map(prop => prop.name), added: 'minor', removed: 'major' },
+  dependencies: { read: item => item.dependencies, added: 'minor', removed: 'patch' },
+  // A newly required provider has to be mounted by every consumer
+  requiredProviders: { read: item => item.requiredProviders, added: 'major', removed: 'patch' },
+  tokenFiles: { read: item => item.tokenFiles && item.tokenFiles.map(file => file.type), added: 'minor', removed: 'major' },
+  tokenKeys: { read: item => item.tokenKeys, added: 'minor', removed: 'major' },
+  // Builds before multi-file components listed plain paths
+  files: {
+    read: item => item.files && item.files.map(file => (typeof file === 'string' ? file : file.path)),
+    added: 'minor',
+    removed: 'major'
+  }
+};
+
+// Checksums of every file an item ships, so a change to any of them counts.
+// A template's token files change with the template it extends.
+function contentFingerprint(item) {
+  const files = (item.files || []).filter(file => typeof file === 'object');
+  const tokenFiles = item.tokenFiles || [];
+  const nativeTokenFiles = item.nativeTokenFiles || [];
+  return [
+    item.checksum,
+    ...files.map(file => `${file.path}:${file.checksum}`),
+    ...tokenFiles.map(file => `${file.type}:${file.checksum}`),
+    ...nativeTokenFiles.map(file => `native/${file.type}:${file.checksum}`)
+  ].join('|');
+}
+
+function largerBump(a, b) {
+  if (!a || !b) {
+    return a || b || null;
+  }
+  return BUMPS[Math.max(BUMPS.indexOf(a), BUMPS.indexOf(b))];
+}
+
+function propsByName(item) {
+  return new Map((item.props || []).map(prop => [prop.name, prop]));
+}
+
+// Props whose type or optionality changed. Both are treated as breaking,
+// except a required prop becoming optional.
+function compareProps(previous, next) {
+  const before = propsByName(previous);
+  const after = propsByName(next);
+  const changed = [];
+  let bump = null;
+
+  after.forEach((prop, name) => {
+    const old = before.get(name);
+    if (!old) {
+      // Callers that do not pass a new required prop stop compiling
+      bump = largerBump(bump, prop.optional ? 'minor' : 'major');
+      return;
+    }
+    if (old.type !== prop.type || old.optional !== prop.optional) {
+      changed.push(name);
+      bump = largerBump(bump, old.type === prop.type && prop.optional ? 'minor' : 'major');
+    }
+  });
+
+  return { changed, bump };
+}
+
+// { summary: { <field>: { added, removed[, changed] } }, bump } where bump is
+// null when the two items are identical and at least patch when their
+// checksums differ
+function compareItems(previous, next) {
+  const summary = {};
+  let bump = null;
+
+  Object.entries(LIST_FIELDS).forEach(([field, rule]) => {
+    const before = rule.read(previous) || [];
+    const after = rule.read(next) || [];
+    const added = after.filter(value => !before.includes(value));
+    const removed = before.filter(value => !after.includes(value));
+
+    if (added.length > 0 || removed.length > 0) {
+      summary[field] = { added, removed };
+    }
+    if (added.length > 0) {
+      bump = largerBump(bump, rule.added);
+    }
+    if (removed.length > 0) {
+      bump = largerBump(bump, rule.removed);
+    }
+  });
+
+  const props = compareProps(previous, next);
+  if (props.changed.length > 0) {
+    summary.props = { added: [], removed: [], ...summary.props, changed: props.changed };
+  }
+  bump = largerBump(bump, props.bump);
+
+  if (!bump && contentFingerprint(previous) !== contentFingerprint(next)) {
+    bump = 'patch';
+  }
+
+  return { summary, bump };
+}
+
+// "colors.primary.500"-style paths of every leaf value in a token object
+function flattenTokenKeys(tokens, prefix = '') {
+  if (tokens === null || typeof tokens !== 'object' || Array.isArray(tokens)) {
+    return prefix ? [prefix] : [];
+  }
+  return Object.keys(tokens).flatMap(key =>
+    flattenTokenKeys(tokens[key], prefix ? `${prefix}.${key}` : key));
+}
+
+// Token keys exported by a tokens/*.ts.template file
+function tokenFileKeys(content, name) {
+  return flattenTokenKeys(collectExportedConstants(parseSource(content, `${name}.ts`)));
+}
+
+module.exports = {
+  BUMPS,
+  largerBump,
+  contentFingerprint,
+  compareItems,
+  flattenTokenKeys,
+  tokenFileKeys
+};
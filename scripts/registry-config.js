@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+
+const REGISTRY_PATH = path.join(__dirname, '..');
+
+const CONFIG_FILES = ['registry.config.js', 'registry.config.json'];
+
+// Source layout of the sibling Expo app
+const APP_SOURCES = {
+  components: 'components/ui',
+  providers: 'providers',
+  tokens: 'constants/ui'
+};
+
+// Source layout of the registry's own committed templates
+const REGISTRY_SOURCES = {
+  components: 'components',
+  providers: 'providers',
+  tokens: 'tokens'
+};
+
+// Default configuration, matching the layout of the sibling Expo app
+const DEFAULT_CONFIG = {
+  baseUrl: 'https://raw.githubusercontent.com/rncanopy/rncanopy-registry/main',
+  version: '1.0.0',
+  sourcePath: path.join(REGISTRY_PATH, '..'),
+  outputPath: REGISTRY_PATH,
+  templatesPath: path.join(REGISTRY_PATH, 'templates'),
+  selfContained: false,
+  // WCAG level template palettes must meet; unset, contrast failures only warn
+  contrast: null,
+  sources: APP_SOURCES
+};
+
+// CLI flag -> config key
+const CLI_FLAGS = {
+  '--config': 'config',
+  '--source': 'sourcePath',
+  '--out': 'outputPath',
+  '--base-url': 'baseUrl',
+  '--version': 'version'
+};
+
+// Flags listed in valueFlags take a value (--flag value or --flag=value); any
+// other --some-flag becomes a camelCased boolean option
+function parseArgs(argv, valueFlags = CLI_FLAGS) {
+  const options = {};
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      continue;
+    }
+
+    const [flag, inlineValue] = arg.split(/=(.*)/s);
+    const key = valueFlags[flag];
+
+    if (!key) {
+      const name = flag.slice(2).replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+      options[name] = inlineValue !== undefined ? inlineValue : true;
+      continue;
+    }
+
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+    options[key] = value;
+  }
+
+  return options;
+}
+
+function findConfigFile(configPath) {
+  if (configPath) {
+    const resolved = path.resolve(configPath);
+    if (!fs.existsSync(resolved)) {
+      throw new Error(`Config file not found: ${configPath}`);
+    }
+    return resolved;
+  }
+
+  const found = CONFIG_FILES
+    .map(file => path.join(REGISTRY_PATH, file))
+    .find(file => fs.existsSync(file));
+
+  return found || null;
+}
+
+function readConfigFile(configFile) {
+  if (configFile.endsWith('.json')) {
+    return JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  }
+  return require(configFile);
+}
+
+function loadRegistryConfig(argv = []) {
+  const cliOptions = parseArgs(argv);
+  const configFile = findConfigFile(cliOptions.config);
+  const fileConfig = configFile ? readConfigFile(configFile) : {};
+  const configDir = configFile ? path.dirname(configFile) : REGISTRY_PATH;
+
+  const selfContained = Boolean(cliOptions.selfContained || fileConfig.selfContained);
+
+  // Self-contained builds treat the registry's committed templates as the source
+  const config = {
+    ...DEFAULT_CONFIG,
+    ...(selfContained && { sourcePath: REGISTRY_PATH }),
+    ...fileConfig,
+    selfContained,
+    sources: { ...(selfContained ? REGISTRY_SOURCES : APP_SOURCES), ...fileConfig.sources }
+  };
+
+  // Paths in the config file are relative to the file, CLI paths to the cwd
+  if (fileConfig.sourcePath) {
+    config.sourcePath = path.resolve(configDir, fileConfig.sourcePath);
+  }
+  if (fileConfig.outputPath) {
+    config.outputPath = path.resolve(configDir, fileConfig.outputPath);
+  }
+  if (fileConfig.templatesPath) {
+    config.templatesPath = path.resolve(configDir, fileConfig.templatesPath);
+  }
+  if (cliOptions.sourcePath) {
+    config.sourcePath = path.resolve(cliOptions.sourcePath);
+  }
+  if (cliOptions.outputPath) {
+    config.outputPath = path.resolve(cliOptions.outputPath);
+  }
+  if (cliOptions.baseUrl) {
+    config.baseUrl = cliOptions.baseUrl;
+  }
+  if (cliOptions.version) {
+    config.version = cliOptions.version;
+  }
+
+  if (!/^\d+\.\d+\.\d+$/.test(config.version)) {
+    throw new Error(`Invalid registry version: ${config.version}`);
+  }
+
+  config.baseUrl = config.baseUrl.replace(/\/+$/, '');
+  config.check = Boolean(cliOptions.check);
+  config.snapshot = Boolean(cliOptions.snapshot || fileConfig.snapshot);
+  config.configFile = configFile;
+  config.lastUpdated = new Date().toISOString();
+
+  return config;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  APP_SOURCES,
+  REGISTRY_SOURCES,
+  CONFIG_FILES,
+  parseArgs,
+  loadRegistryConfig
+};
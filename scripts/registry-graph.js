@@ -0,0 +1,231 @@
+const path = require('path');
+const { toComponentSlug } = require('./registry-paths');
+const { TOKEN_MODULE_PATTERN } = require('./analyze-source');
+
+const DEPENDENCY_KINDS = ['components', 'providers', 'tokens'];
+
+function emptyDependencies() {
+  return { components: [], providers: [], tokens: [] };
+}
+
+function providerModuleOf(imp, modules) {
+  if (!imp.module.startsWith('.') || TOKEN_MODULE_PATTERN.test(imp.module)) {
+    return null;
+  }
+  const base = path.posix.basename(imp.module);
+  return modules.providers.includes(base) ? base : null;
+}
+
+// Providers a file depends on at runtime, derived from what it imports from
+// each provider module: hooks (useTheme) need the provider mounted above the
+// caller, provider components (ThemeProvider) are rendered by the caller itself.
+function resolveProviderUsage(imports, modules, self = null) {
+  const requiredProviders = [];
+  const wraps = [];
+
+  imports.forEach(imp => {
+    const provider = providerModuleOf(imp, modules);
+    if (!provider || provider === self) {
+      return;
+    }
+
+    imp.bindings
+      .filter(binding => !binding.isTypeOnly)
+      .forEach(binding => {
+        const target = /^use[A-Z]/.test(binding.imported) ? requiredProviders : wraps;
+        if (!target.includes(provider)) {
+          target.push(provider);
+        }
+      });
+  });
+
+  return { requiredProviders, wraps };
+}
+
+// Registry items a file pulls in through its relative imports.
+// `modules` lists the component directories, provider names and token files
+// being built, plus a map of every token export to the file declaring it.
+function resolveRegistryDependencies(imports, modules, self = {}) {
+  const found = { components: new Set(), providers: new Set(), tokens: new Set() };
+
+  imports
+    .filter(imp => imp.module.startsWith('.'))
+    .forEach(imp => {
+      const base = path.posix.basename(imp.module);
+
+      if (TOKEN_MODULE_PATTERN.test(imp.module)) {
+        // ./constants/ui/colors names the file, ./constants/ui goes through the index
+        if (modules.tokens.includes(base)) {
+          found.tokens.add(base);
+        } else {
+          imp.bindings
+            .filter(binding => modules.tokenExports.has(binding.imported))
+            .forEach(binding => found.tokens.add(modules.tokenExports.get(binding.imported)));
+        }
+      } else if (providerModuleOf(imp, modules)) {
+        found.providers.add(base);
+      } else if (modules.components.includes(base)) {
+        found.components.add(toComponentSlug(base));
+      }
+    });
+
+  if (self.component) {
+    found.components.delete(self.component);
+  }
+  if (self.provider) {
+    found.providers.delete(self.provider);
+  }
+
+  const dependencies = emptyDependencies();
+  DEPENDENCY_KINDS.forEach(kind => {
+    dependencies[kind] = Array.from(found[kind]).sort();
+  });
+  return dependencies;
+}
+
+// Nodes keyed as "components:toast", "providers:ThemeProvider", "tokens:colors"
+function createGraphNodes(components, providers) {
+  const nodes = new Map();
+
+  components.forEach(component => nodes.set(`components:${component.name}`, component));
+  providers.forEach(provider => nodes.set(`providers:${provider.displayName}`, provider));
+
+  return nodes;
+}
+
+function edgesOf(item) {
+  const dependencies = item.registryDependencies || emptyDependencies();
+  return DEPENDENCY_KINDS.flatMap(kind => (dependencies[kind] || []).map(name => `${kind}:${name}`));
+}
+
+function splitKey(key) {
+  const index = key.indexOf(':');
+  return { kind: key.slice(0, index), name: key.slice(index + 1) };
+}
+
+// Transitive closure in install order (dependencies before dependents)
+function resolveClosure(rootKey, nodes) {
+  const order = [];
+  const visited = new Set();
+
+  function visit(key) {
+    if (visited.has(key)) {
+      return;
+    }
+    visited.add(key);
+
+    const item = nodes.get(key);
+    if (item) {
+      edgesOf(item).forEach(visit);
+    }
+    order.push(key);
+  }
+
+  visit(rootKey);
+
+  const resolved = { ...emptyDependencies(), npm: [] };
+  const npm = new Set();
+
+  order.forEach(key => {
+    const item = nodes.get(key);
+    if (item) {
+      (item.dependencies || []).forEach(dep => npm.add(dep));
+    }
+    if (key !== rootKey) {
+      const { kind, name } = splitKey(key);
+      resolved[kind].push(name);
+    }
+  });
+
+  resolved.npm = Array.from(npm).sort();
+  return resolved;
+}
+
+function buildDependencyGraph(components, providers) {
+  const nodes = createGraphNodes(components, providers);
+  const graph = { components: {}, providers: {} };
+
+  components.forEach(component => {
+    graph.components[component.name] = {
+      dependencies: component.registryDependencies || emptyDependencies(),
+      resolved: resolveClosure(`components:${component.name}`, nodes)
+    };
+  });
+
+  providers.forEach(provider => {
+    graph.providers[provider.displayName] = {
+      dependencies: provider.registryDependencies || emptyDependencies(),
+      resolved: resolveClosure(`providers:${provider.displayName}`, nodes)
+    };
+  });
+
+  return graph;
+}
+
+// Every dependency cycle, each as the list of node keys that form it
+function findCycles(components, providers) {
+  const nodes = createGraphNodes(components, providers);
+  const cycles = [];
+  const seen = new Set();
+  const state = new Map();
+  const stack = [];
+
+  function visit(key) {
+    state.set(key, 'visiting');
+    stack.push(key);
+
+    const item = nodes.get(key);
+    (item ? edgesOf(item) : []).forEach(next => {
+      if (state.get(next) === 'visiting') {
+        const cycle = [...stack.slice(stack.indexOf(next)), next];
+        const id = cycle.slice(0, -1).sort().join('|');
+        if (!seen.has(id)) {
+          seen.add(id);
+          cycles.push(cycle);
+        }
+      } else if (!state.has(next)) {
+        visit(next);
+      }
+    });
+
+    stack.pop();
+    state.set(key, 'done');
+  }
+
+  nodes.forEach((_, key) => {
+    if (!state.has(key)) {
+      visit(key);
+    }
+  });
+
+  return cycles;
+}
+
+// Dependencies that point at nothing in the registry
+function findMissingDependencies(components, providers, tokens) {
+  const nodes = createGraphNodes(components, providers);
+  const tokenNames = new Set(tokens.map(token => token.name));
+  const missing = [];
+
+  nodes.forEach((item, key) => {
+    edgesOf(item).forEach(edge => {
+      const { kind, name } = splitKey(edge);
+      const exists = kind === 'tokens' ? tokenNames.has(name) : nodes.has(edge);
+      if (!exists) {
+        missing.push({ from: key, to: edge });
+      }
+    });
+  });
+
+  return missing;
+}
+
+module.exports = {
+  DEPENDENCY_KINDS,
+  resolveRegistryDependencies,
+  resolveProviderUsage,
+  buildDependencyGraph,
+  resolveClosure,
+  findCycles,
+  findMissingDependencies
+};
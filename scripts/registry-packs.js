@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { contentDigest } = require('./build-output');
+
+// Packs bundle registry files into one gzipped JSON document, so a client can
+// install from a single download or vendor the registry without network access
+const PACKS_DIR = 'packs';
+const PACK_FORMAT = 'rncanopy-pack';
+const PACK_FORMAT_VERSION = 1;
+
+// Files a registry pack leaves out: the index lists the packs themselves and
+// the versions index changes with every release
+const UNPACKED_FILES = ['api/index.json', 'api/versions.json'];
+
+const GZIP_OS_HEADER_BYTE = 9;
+const GZIP_OS_UNKNOWN = 0xff;
+
+function registryPackPath() {
+  return `${PACKS_DIR}/registry.json.gz`;
+}
+
+function templatePackPath(templateName) {
+  return `${PACKS_DIR}/templates/${templateName}.json.gz`;
+}
+
+// Gzip a pack document. The gzip header records the OS that compressed it;
+// it is reset so the same pack is byte-identical wherever it is built.
+function compressPack(pack) {
+  const compressed = zlib.gzipSync(JSON.stringify(pack), { level: zlib.constants.Z_BEST_COMPRESSION });
+  compressed[GZIP_OS_HEADER_BYTE] = GZIP_OS_UNKNOWN;
+  return compressed;
+}
+
+// Build a pack from registry files, read as text by `read(file)`. Every file is
+// embedded with the checksum and integrity of its bytes.
+function createPack(files, read, { kind, name, version, baseUrl }) {
+  return compressPack({
+    format: PACK_FORMAT,
+    formatVersion: PACK_FORMAT_VERSION,
+    kind,
+    name,
+    version,
+    baseUrl,
+    files: files.map(file => {
+      const content = read(file);
+      return { path: file, ...contentDigest(content), content };
+    })
+  });
+}
+
+// The registry pack and one pack per template from the files of a build, as
+// [{ path, content, entry }] where entry is what api/index.json lists
+function createPacks(files, read, { version, baseUrl, templates }) {
+  const registryFiles = files.filter(file => !file.startsWith(`${PACKS_DIR}/`) && !UNPACKED_FILES.includes(file));
+
+  const pack = (packPath, packFiles, meta) => {
+    const content = createPack(packFiles, read, { ...meta, version, baseUrl });
+    return {
+      path: packPath,
+      content,
+      entry: {
+        ...meta,
+        url: `${baseUrl}/${packPath}`,
+        size: content.length,
+        files: packFiles.length,
+        ...contentDigest(content)
+      }
+    };
+  };
+
+  return [
+    pack(registryPackPath(), registryFiles, { kind: 'registry', name: 'registry' }),
+    ...templates.map(name => pack(
+      templatePackPath(name),
+      registryFiles.filter(file => file.startsWith(`templates/${name}/`)),
+      { kind: 'template', name }
+    ))
+  ];
+}
+
+// Decompress a pack and check every embedded file against its integrity hash
+function readPack(buffer) {
+  const pack = JSON.parse(zlib.gunzipSync(buffer).toString('utf8'));
+
+  if (pack.format !== PACK_FORMAT || pack.formatVersion !== PACK_FORMAT_VERSION) {
+    throw new Error(`Unsupported pack format: ${pack.format} ${pack.formatVersion}`);
+  }
+
+  pack.files.forEach(file => {
+    if (contentDigest(file.content).integrity !== file.integrity) {
+      throw new Error(`Integrity mismatch for ${file.path} in pack ${pack.name}`);
+    }
+  });
+
+  return pack;
+}
+
+// Write every file of a pack below `targetDir`, e.g. to vendor the registry.
+// Paths come from the pack, so all of them are checked before anything is
+// written: absolute paths and ones leading outside `targetDir` are rejected.
+function extractPack(pack, targetDir) {
+  const root = path.resolve(targetDir);
+  const targets = pack.files.map(file => {
+    const targetPath = path.resolve(root, file.path);
+    if (path.isAbsolute(file.path) || !targetPath.startsWith(`${root}${path.sep}`)) {
+      throw new Error(`Unsafe path in pack ${pack.name}: ${file.path}`);
+    }
+    return { targetPath, content: file.content };
+  });
+
+  targets.forEach(({ targetPath, content }) => {
+    fs.mkdirSync(path.dirname(targetPath), { recursive: true });
+    fs.writeFileSync(targetPath, content);
+  });
+  return pack.files.map(file => file.path);
+}
+
+module.exports = {
+  PACKS_DIR,
+  PACK_FORMAT,
+  PACK_FORMAT_VERSION,
+  UNPACKED_FILES,
+  registryPackPath,
+  templatePackPath,
+  createPack,
+  createPacks,
+  readPack,
+  extractPack
+};
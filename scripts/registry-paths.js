@@ -0,0 +1,64 @@
+const fs = require('fs');
+const path = require('path');
+
+// Component directories keep the component's PascalCase name (components/GradientButton),
+// while the registry identifies components by a lowercase slug (gradientbutton).
+// Everything that turns one into the other goes through this module.
+
+function toComponentSlug(directory) {
+  return directory.toLowerCase();
+}
+
+function resolveComponentDirectory(slug, registryPath) {
+  const componentsDir = path.join(registryPath, 'components');
+  if (!fs.existsSync(componentsDir)) {
+    return null;
+  }
+
+  return fs.readdirSync(componentsDir)
+    .filter(dir => fs.statSync(path.join(componentsDir, dir)).isDirectory())
+    .find(dir => toComponentSlug(dir) === slug) || null;
+}
+
+function componentFilePath(directory, file) {
+  return `components/${directory}/${file}`;
+}
+
+function componentUrls(directory, baseUrl) {
+  return {
+    downloadUrl: `${baseUrl}/${componentFilePath(directory, 'component.tsx.template')}`,
+    metadataUrl: `${baseUrl}/${componentFilePath(directory, 'component.json')}`
+  };
+}
+
+// Registry-relative path for a URL under baseUrl, or null for foreign URLs
+function urlToRegistryPath(url, baseUrl) {
+  const prefix = `${baseUrl.replace(/\/+$/, '')}/`;
+  return url.startsWith(prefix) ? url.slice(prefix.length) : null;
+}
+
+// existsSync is case-insensitive on macOS and Windows; raw.githubusercontent.com is not
+function existsWithExactCase(registryPath, relativePath) {
+  let current = registryPath;
+
+  for (const segment of relativePath.split('/')) {
+    if (!fs.existsSync(current) || !fs.statSync(current).isDirectory()) {
+      return false;
+    }
+    if (!fs.readdirSync(current).includes(segment)) {
+      return false;
+    }
+    current = path.join(current, segment);
+  }
+
+  return true;
+}
+
+module.exports = {
+  toComponentSlug,
+  resolveComponentDirectory,
+  componentFilePath,
+  componentUrls,
+  urlToRegistryPath,
+  existsWithExactCase
+};
@@ -0,0 +1,151 @@
+// Search index and per-facet lookup files over the component registry, so
+// clients can find components without downloading api/components.json
+
+// Facets published as api/<dir>/<value>.json, with how to read a component's values
+const FACETS = {
+  category: { dir: 'categories', values: component => [component.category] },
+  tag: { dir: 'by-tag', values: component => component.tags || [] },
+  status: { dir: 'by-status', values: component => (component.status ? [component.status] : []) },
+  platform: { dir: 'by-platform', values: component => component.platforms || [] },
+  dependency: { dir: 'by-dependency', values: component => component.dependencies || [] },
+  token: { dir: 'by-token', values: component => (component.registryDependencies || {}).tokens || [] },
+  provider: { dir: 'by-provider', values: component => component.requiredProviders || [] },
+  export: { dir: 'by-export', values: component => component.exports || [] },
+  feature: { dir: 'by-feature', values: component => (component.hasHaptics ? ['haptics'] : []) }
+};
+
+// Indexed fields and their relevance, highest first
+const SEARCH_FIELDS = {
+  name: 5,
+  exports: 3,
+  category: 2,
+  tags: 2,
+  variants: 2,
+  description: 1
+};
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'as', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// Lowercase search terms: words and camelCase parts, plus the whole
+// identifier ("GradientButton" -> gradientbutton, gradient, button)
+function tokenize(text) {
+  const terms = new Set();
+
+  String(text).split(/[^A-Za-z0-9]+/).filter(Boolean).forEach(word => {
+    const parts = word.split(/(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/);
+    [word, ...parts].map(part => part.toLowerCase())
+      .filter(term => term.length > 1 && !STOP_WORDS.has(term))
+      .forEach(term => terms.add(term));
+  });
+
+  return [...terms];
+}
+
+function fieldText(component, field) {
+  if (field === 'name') {
+    return [component.name, component.displayName].join(' ');
+  }
+  const value = component[field];
+  return Array.isArray(value) ? value.join(' ') : value || '';
+}
+
+// Registry path of a facet lookup file; scoped packages nest (by-dependency/@scope/pkg.json)
+function facetFilePath(facet, value) {
+  return `api/${FACETS[facet].dir}/${value}.json`;
+}
+
+// What a search result or facet file lists about a component
+function componentSummary(component) {
+  return {
+    name: component.name,
+    displayName: component.displayName,
+    description: component.description,
+    category: component.category,
+    tags: component.tags,
+    status: component.status,
+    version: component.version,
+    downloadUrl: component.downloadUrl,
+    metadataUrl: component.metadataUrl
+  };
+}
+
+// { <facet>: { <value>: [component names] } }, values and names sorted
+function collectFacets(components) {
+  const facets = {};
+
+  Object.entries(FACETS).forEach(([facet, { values }]) => {
+    const byValue = {};
+    components.forEach(component => {
+      values(component).forEach(value => {
+        byValue[value] = [...(byValue[value] || []), component.name];
+      });
+    });
+    facets[facet] = {};
+    Object.keys(byValue).sort().forEach(value => {
+      facets[facet][value] = byValue[value].sort();
+    });
+  });
+
+  return facets;
+}
+
+// Inverted index: { <term>: { <component>: [fields the term appears in] } }
+function buildTermIndex(components) {
+  const terms = {};
+
+  components.forEach(component => {
+    Object.keys(SEARCH_FIELDS).forEach(field => {
+      tokenize(fieldText(component, field)).forEach(term => {
+        terms[term] = terms[term] || {};
+        terms[term][component.name] = [...(terms[term][component.name] || []), field];
+      });
+    });
+  });
+
+  const sorted = {};
+  Object.keys(terms).sort().forEach(term => {
+    sorted[term] = terms[term];
+  });
+  return sorted;
+}
+
+// Rank components in a search index against a query. Every query term must
+// match some indexed term, exactly or as a prefix; exact matches and the
+// component's own name score higher.
+function searchComponents(index, query) {
+  const queryTerms = tokenize(query);
+  const scores = new Map(index.components.map(component => [component.name, 0]));
+
+  queryTerms.forEach(queryTerm => {
+    const matched = new Map();
+    Object.entries(index.terms)
+      .filter(([term]) => term.startsWith(queryTerm))
+      .forEach(([term, hits]) => {
+        Object.entries(hits).forEach(([name, fields]) => {
+          const weight = fields.reduce((sum, field) => sum + index.fields[field], 0) * (term === queryTerm ? 2 : 1) +
+            (name === queryTerm ? index.fields.name : 0);
+          matched.set(name, Math.max(matched.get(name) || 0, weight));
+        });
+      });
+
+    scores.forEach((score, name) => {
+      scores.set(name, matched.has(name) && score !== null ? score + matched.get(name) : null);
+    });
+  });
+
+  return index.components
+    .filter(component => queryTerms.length > 0 && scores.get(component.name) !== null)
+    .map(component => ({ ...component, score: scores.get(component.name) }))
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+  FACETS,
+  SEARCH_FIELDS,
+  tokenize,
+  facetFilePath,
+  componentSummary,
+  collectFacets,
+  buildTermIndex,
+  searchComponents
+};
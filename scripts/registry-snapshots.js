@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+const { compareVersions } = require('./item-versions');
+const { PACKS_DIR, createPacks } = require('./registry-packs');
+
+// Snapshots live in v/<version>/ and mirror the published registry layout
+const SNAPSHOTS_DIR = 'v';
+const SNAPSHOT_SECTIONS = ['api', 'components', 'providers', 'tokens', 'templates', 'packs'];
+
+// Registry-wide files that are not part of any one snapshot
+const UNVERSIONED_FILES = ['api/versions.json'];
+
+function snapshotBaseUrl(baseUrl, version) {
+  return `${baseUrl}/${SNAPSHOTS_DIR}/${version}`;
+}
+
+function listFilesRecursive(root, dir) {
+  const absolute = path.join(root, dir);
+  if (!fs.existsSync(absolute)) {
+    return [];
+  }
+
+  return fs.readdirSync(absolute).sort().flatMap(entry => {
+    const relative = path.posix.join(dir, entry);
+    return fs.statSync(path.join(root, relative)).isDirectory()
+      ? listFilesRecursive(root, relative)
+      : [relative];
+  });
+}
+
+// Every published file that belongs in a snapshot, relative to the registry root
+function listSnapshotFiles(registryPath) {
+  return SNAPSHOT_SECTIONS
+    .flatMap(section => listFilesRecursive(registryPath, section))
+    .filter(file => !UNVERSIONED_FILES.includes(file));
+}
+
+// Point every registry URL inside a JSON document at the snapshot
+function rebaseUrls(value, baseUrl, targetBaseUrl) {
+  if (typeof value === 'string') {
+    if (value === baseUrl) {
+      return targetBaseUrl;
+    }
+    const unversioned = UNVERSIONED_FILES.some(file => value === `${baseUrl}/${file}`);
+    return value.startsWith(`${baseUrl}/`) && !unversioned
+      ? `${targetBaseUrl}${value.slice(baseUrl.length)}`
+      : value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => rebaseUrls(item, baseUrl, targetBaseUrl));
+  }
+  if (value && typeof value === 'object') {
+    const rebased = {};
+    Object.entries(value).forEach(([key, item]) => {
+      rebased[key] = rebaseUrls(item, baseUrl, targetBaseUrl);
+    });
+    return rebased;
+  }
+  return value;
+}
+
+// Snapshot content of one file. Files without registry URLs (the templates a
+// client downloads) are copied byte for byte so their integrity hashes hold.
+function snapshotContent(content, file, baseUrl, targetBaseUrl) {
+  if (!file.endsWith('.json') || !content.includes(baseUrl)) {
+    return content;
+  }
+  const rebased = rebaseUrls(JSON.parse(content.toString('utf8')), baseUrl, targetBaseUrl);
+  return Buffer.from(JSON.stringify(rebased, null, 2));
+}
+
+// Copy the built registry into v/<version>/. A snapshot is immutable: files
+// already in it are never rewritten, and any that would change are returned
+// as conflicts so the caller can refuse to publish under the same version.
+function writeSnapshot(output, config) {
+  const snapshotRoot = path.join(config.outputPath, SNAPSHOTS_DIR, config.version);
+  const targetBaseUrl = snapshotBaseUrl(config.baseUrl, config.version);
+  const conflicts = [];
+  let written = 0;
+
+  const contents = new Map(listSnapshotFiles(config.outputPath)
+    .filter(file => !file.startsWith(`${PACKS_DIR}/`))
+    .map(file => [file, snapshotContent(fs.readFileSync(path.join(config.outputPath, file)), file, config.baseUrl, targetBaseUrl)]));
+
+  // Packs embed their files, so they are rebuilt from the snapshot's rebased
+  // files rather than copied, and the snapshot's index lists those
+  const index = contents.has('api/index.json') && JSON.parse(contents.get('api/index.json').toString('utf8'));
+  if (index && index.packs) {
+    const packs = createPacks([...contents.keys()], file => contents.get(file).toString('utf8'), {
+      version: config.version,
+      baseUrl: targetBaseUrl,
+      templates: index.packs.templates.map(pack => pack.name)
+    });
+    packs.forEach(pack => contents.set(pack.path, pack.content));
+    const [registry, ...templates] = packs.map(pack => pack.entry);
+    contents.set('api/index.json', Buffer.from(JSON.stringify({ ...index, packs: { registry, templates } }, null, 2)));
+  }
+
+  contents.forEach((content, file) => {
+    const targetPath = path.join(snapshotRoot, file);
+
+    if (fs.existsSync(targetPath)) {
+      if (!fs.readFileSync(targetPath).equals(content)) {
+        conflicts.push(file);
+      }
+      return;
+    }
+
+    output.writeFile(targetPath, content);
+    written++;
+  });
+
+  return { path: snapshotRoot, written, conflicts };
+}
+
+// Published snapshots, newest first
+function listSnapshots(config) {
+  const snapshotsDir = path.join(config.outputPath, SNAPSHOTS_DIR);
+  if (!fs.existsSync(snapshotsDir)) {
+    return [];
+  }
+
+  return fs.readdirSync(snapshotsDir)
+    .filter(version => /^\d+\.\d+\.\d+$/.test(version))
+    .filter(version => fs.existsSync(path.join(snapshotsDir, version, 'api/index.json')))
+    .sort((a, b) => compareVersions(b, a))
+    .map(version => {
+      const index = JSON.parse(fs.readFileSync(path.join(snapshotsDir, version, 'api/index.json'), 'utf8'));
+      return {
+        version,
+        lastUpdated: index.lastUpdated,
+        baseUrl: snapshotBaseUrl(config.baseUrl, version),
+        index: `${snapshotBaseUrl(config.baseUrl, version)}/api/index.json`
+      };
+    });
+}
+
+module.exports = {
+  SNAPSHOTS_DIR,
+  SNAPSHOT_SECTIONS,
+  snapshotBaseUrl,
+  listSnapshotFiles,
+  rebaseUrls,
+  writeSnapshot,
+  listSnapshots
+};
@@ -0,0 +1,146 @@
+const path = require('path');
+const { APP_SOURCES } = require('./registry-config');
+
+// Import paths in registry templates are placeholders, filled in at install
+// time from the consuming project's layout:
+//   import { spacing } from '{{tokensPath}}';
+//   import { useTheme } from '{{providersPath}}/ThemeProvider';
+//   import { Spinner } from '{{componentsPath}}/Spinner';
+const PLACEHOLDERS = {
+  tokensPath: 'tokens',
+  providersPath: 'providers',
+  componentsPath: 'components'
+};
+
+// Names end in "Path" so JSX like value={{ showToast }} never matches
+const PLACEHOLDER_PATTERN = /\{\{([A-Za-z]+Path)\}\}/g;
+
+// Project layout assumed when no config is given: the Expo app the registry is built from
+const DEFAULT_PROJECT = {
+  tokensPath: APP_SOURCES.tokens,
+  providersPath: APP_SOURCES.providers,
+  componentsPath: APP_SOURCES.components
+};
+
+// The flat layout the source analysis understands: everything next to the component
+const ANALYSIS_SPECIFIERS = {
+  tokensPath: './constants/ui',
+  providersPath: './providers',
+  componentsPath: '.'
+};
+
+// Placeholder names used in a template, in order of first use
+function findPlaceholders(content) {
+  const found = [];
+  let match;
+
+  PLACEHOLDER_PATTERN.lastIndex = 0;
+  while ((match = PLACEHOLDER_PATTERN.exec(content)) !== null) {
+    if (!found.includes(match[1])) {
+      found.push(match[1]);
+    }
+  }
+
+  return found;
+}
+
+// Replace every placeholder with the given import specifier
+function renderTemplate(content, specifiers) {
+  return content.replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    if (!Object.prototype.hasOwnProperty.call(PLACEHOLDERS, name)) {
+      throw new Error(`Unknown template placeholder: ${placeholder}`);
+    }
+    if (specifiers[name] === undefined) {
+      throw new Error(`No value for template placeholder: ${placeholder}`);
+    }
+    return specifiers[name];
+  });
+}
+
+// Aliases (@/ui, ~/tokens, #design-system) are used verbatim; anything else
+// is a directory relative to the project root. A project using aliases says
+// where files go with componentsDir / providersDir.
+function isAlias(value) {
+  return /^[@~#]/.test(value);
+}
+
+function installDir(value, fallback) {
+  return isAlias(value) ? fallback : value.replace(/\/+$/, '');
+}
+
+// Import specifiers for a file installed at `installPath` (relative to the
+// project root), given the project's directories or aliases
+function importSpecifiers(project, installPath) {
+  const layout = { ...DEFAULT_PROJECT, ...project };
+  const fromDir = path.posix.dirname(installPath);
+  const specifiers = {};
+
+  Object.keys(PLACEHOLDERS).forEach(name => {
+    const value = layout[name].replace(/\/+$/, '');
+    if (isAlias(value)) {
+      specifiers[name] = value;
+      return;
+    }
+    const relative = path.posix.relative(fromDir, path.posix.normalize(value)) || '.';
+    specifiers[name] = relative.startsWith('.') ? relative : `./${relative}`;
+  });
+
+  return specifiers;
+}
+
+// Turn relative imports in an app source file into placeholders. `fileDir` is
+// the file's directory and `sources` the app's token, provider and component
+// directories, all relative to the app root.
+function templatizeImports(content, fileDir, sources) {
+  const roots = Object.entries(PLACEHOLDERS).map(([name, section]) => [name, sources[section]]);
+
+  return content.replace(/(from\s+|import\s+)(['"])(\.{1,2}\/[^'"]*|\.{1,2})\2/g, (statement, keyword, quote, specifier) => {
+    const resolved = path.posix.join(fileDir, specifier);
+    const match = roots.find(([, root]) => resolved === root || resolved.startsWith(`${root}/`));
+    if (!match) {
+      return statement;
+    }
+    const [name, root] = match;
+    return `${keyword}${quote}{{${name}}}${resolved.slice(root.length)}${quote}`;
+  });
+}
+
+// Render every file of a component for a project. `readTemplate(path)` returns
+// the template content of one of the component's files (component.json `files`).
+function renderComponent(component, readTemplate, project = {}) {
+  const layout = { ...DEFAULT_PROJECT, ...project };
+  const componentsDir = layout.componentsDir || installDir(layout.componentsPath, DEFAULT_PROJECT.componentsPath);
+
+  return component.files.map(file => {
+    const installPath = path.posix.join(componentsDir, file.target);
+    return {
+      path: installPath,
+      type: file.type,
+      content: renderTemplate(readTemplate(file.path), importSpecifiers(layout, installPath))
+    };
+  });
+}
+
+// Render a provider template for a project; it installs as <providersPath>/<Name>.tsx
+function renderProvider(provider, content, project = {}) {
+  const layout = { ...DEFAULT_PROJECT, ...project };
+  const providersDir = layout.providersDir || installDir(layout.providersPath, DEFAULT_PROJECT.providersPath);
+  const installPath = path.posix.join(providersDir, `${provider.displayName}.tsx`);
+
+  return {
+    path: installPath,
+    content: renderTemplate(content, importSpecifiers(layout, installPath))
+  };
+}
+
+module.exports = {
+  PLACEHOLDERS,
+  DEFAULT_PROJECT,
+  ANALYSIS_SPECIFIERS,
+  findPlaceholders,
+  renderTemplate,
+  importSpecifiers,
+  templatizeImports,
+  renderComponent,
+  renderProvider
+};
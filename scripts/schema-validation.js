@@ -0,0 +1,156 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const REGISTRY_PATH = path.join(__dirname, '..');
+const SCHEMAS_PATH = path.join(REGISTRY_PATH, 'schemas');
+
+function listFiles(dir, predicate) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+  return fs.readdirSync(dir).filter(predicate).sort();
+}
+
+function listFilesRecursive(registryPath, dir) {
+  const absolute = path.join(registryPath, dir);
+  if (!fs.existsSync(absolute)) {
+    return [];
+  }
+  return fs.readdirSync(absolute).sort().flatMap(entry => {
+    const relative = path.join(dir, entry);
+    return fs.statSync(path.join(registryPath, relative)).isDirectory()
+      ? listFilesRecursive(registryPath, relative)
+      : [relative];
+  });
+}
+
+function listSubdirectoryFiles(dir, file) {
+  return listFiles(dir, entry => fs.existsSync(path.join(dir, entry, file)))
+    .map(entry => path.join(path.basename(dir), entry, file));
+}
+
+// Which schema each file in the registry is validated against
+const SCHEMA_TARGETS = [
+  {
+    schema: 'template.schema.json',
+    files: registryPath => listSubdirectoryFiles(path.join(registryPath, 'templates'), 'template.json')
+  },
+  {
+    schema: 'template-metadata.schema.json',
+    files: registryPath => listSubdirectoryFiles(path.join(registryPath, 'templates'), 'metadata.json')
+  },
+  {
+    schema: 'native-shadows.schema.json',
+    files: registryPath => listSubdirectoryFiles(path.join(registryPath, 'templates'), 'native/shadows.json')
+  },
+  {
+    schema: 'native-easings.schema.json',
+    files: registryPath => listSubdirectoryFiles(path.join(registryPath, 'templates'), 'native/easings.json')
+  },
+  {
+    schema: 'component.schema.json',
+    files: registryPath => listSubdirectoryFiles(path.join(registryPath, 'components'), 'component.json')
+  },
+  {
+    schema: 'component-manifest.schema.json',
+    files: registryPath => listSubdirectoryFiles(path.join(registryPath, 'components'), 'manifest.json')
+  },
+  {
+    schema: 'provider.schema.json',
+    files: registryPath => listFiles(path.join(registryPath, 'providers'), file => file.endsWith('.json'))
+      .map(file => path.join('providers', file))
+  },
+  { schema: 'api-index.schema.json', files: () => ['api/index.json'] },
+  { schema: 'api-components.schema.json', files: () => ['api/components.json'] },
+  { schema: 'api-templates.schema.json', files: () => ['api/templates.json'] },
+  { schema: 'api-providers.schema.json', files: () => ['api/providers.json'] },
+  { schema: 'api-tokens.schema.json', files: () => ['api/tokens.json'] },
+  { schema: 'api-graph.schema.json', files: () => ['api/graph.json'] },
+  { schema: 'api-changelog.schema.json', files: () => ['api/changelog.json'] },
+  { schema: 'api-versions.schema.json', files: () => ['api/versions.json'] },
+  { schema: 'api-search.schema.json', files: () => ['api/search.json'] },
+  {
+    schema: 'api-facet.schema.json',
+    files: registryPath => listFiles(path.join(registryPath, 'api'), dir => dir === 'categories' || dir.startsWith('by-'))
+      .flatMap(dir => listFilesRecursive(registryPath, path.join('api', dir)))
+  }
+];
+
+// One Ajv instance holding every schema, so $refs between them resolve
+function createSchemaValidator(schemasPath = SCHEMAS_PATH) {
+  const ajv = new Ajv({ allErrors: true });
+  const schemaIds = {};
+
+  listFiles(schemasPath, file => file.endsWith('.schema.json')).forEach(file => {
+    const schema = JSON.parse(fs.readFileSync(path.join(schemasPath, file), 'utf8'));
+    ajv.addSchema(schema, schema.$id ? undefined : file);
+    schemaIds[file] = schema.$id || file;
+  });
+
+  return {
+    validate(schemaFile, data) {
+      const validate = ajv.getSchema(schemaIds[schemaFile]);
+      if (!validate) {
+        throw new Error(`Unknown schema: ${schemaFile}`);
+      }
+      return validate(data) ? [] : validate.errors;
+    }
+  };
+}
+
+// Name the offending property or the allowed vocabulary where Ajv does not
+function describeSchemaError(error) {
+  if (error.params && error.params.additionalProperty) {
+    return `${error.message} (${error.params.additionalProperty})`;
+  }
+  if (error.params && error.params.allowedValues) {
+    return `${error.message}: ${error.params.allowedValues.join(', ')}`;
+  }
+  return error.message;
+}
+
+// Validate one file; every problem becomes { file, path, message }
+function validateFileAgainstSchema(validator, schemaFile, filePath, displayPath = filePath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return [{ file: displayPath, path: '', message: `Invalid JSON: ${error.message}` }];
+  }
+
+  return validator.validate(schemaFile, data).map(error => ({
+    file: displayPath,
+    path: error.instancePath || '/',
+    message: describeSchemaError(error)
+  }));
+}
+
+// Every schema violation across the registry, aggregated
+function validateRegistrySchemas(registryPath = REGISTRY_PATH) {
+  const validator = createSchemaValidator();
+  const errors = [];
+  let checked = 0;
+
+  SCHEMA_TARGETS.forEach(({ schema, files }) => {
+    files(registryPath).forEach(file => {
+      const filePath = path.join(registryPath, file);
+      if (!fs.existsSync(filePath)) {
+        errors.push({ file, path: '', message: 'File is missing' });
+        return;
+      }
+      checked++;
+      errors.push(...validateFileAgainstSchema(validator, schema, filePath, file));
+    });
+  });
+
+  return { checked, errors };
+}
+
+module.exports = {
+  SCHEMA_TARGETS,
+  createSchemaValidator,
+  describeSchemaError,
+  validateFileAgainstSchema,
+  validateRegistrySchemas
+};
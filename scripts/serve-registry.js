@@ -0,0 +1,341 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const { execFile } = require('child_process');
+const { loadRegistryConfig, parseArgs } = require('./registry-config');
+const { contentDigest } = require('./build-output');
+const { existsWithExactCase } = require('./registry-paths');
+const { SNAPSHOTS_DIR, SNAPSHOT_SECTIONS, listSnapshotFiles } = require('./registry-snapshots');
+const { PACKS_DIR, createPacks } = require('./registry-packs');
+
+const BUILD_SCRIPT = path.join(__dirname, 'build-registry.js');
+
+const SERVER_FLAGS = {
+  '--port': 'port',
+  '--host': 'host'
+};
+
+const DEFAULT_PORT = 4873;
+const DEFAULT_HOST = '127.0.0.1';
+
+// Top-level directories the production host publishes
+const PUBLISHED_DIRS = [...SNAPSHOT_SECTIONS, SNAPSHOTS_DIR];
+
+// Wait for a burst of file events (editor saves, git checkouts) to settle
+const REBUILD_DELAY_MS = 200;
+
+// Used when no _headers rule sets a Content-Type
+const CONTENT_TYPES = {
+  '.json': 'application/json',
+  '.gz': 'application/gzip'
+};
+
+// Files the builder reads; everything else in the watched directories is build output
+function isSourceFile(file) {
+  const name = path.basename(file);
+  return /\.(template|tsx?)$/.test(name) || name === 'manifest.json' || name === 'template.json';
+}
+
+// Rules from a Netlify-style _headers file: a path pattern, then indented
+// "Name: value" lines. A trailing * matches any rest of the path.
+function parseHeadersFile(content) {
+  const rules = [];
+
+  content.split(/\r?\n/).forEach(line => {
+    if (!line.trim() || line.trim().startsWith('#')) {
+      return;
+    }
+    if (!/^\s/.test(line)) {
+      rules.push({ pattern: line.trim(), headers: {} });
+      return;
+    }
+    const separator = line.indexOf(':');
+    if (rules.length > 0 && separator > 0) {
+      rules[rules.length - 1].headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  });
+
+  return rules;
+}
+
+function matchesPattern(pattern, urlPath) {
+  return pattern.endsWith('*')
+    ? urlPath.startsWith(pattern.slice(0, -1))
+    : urlPath === pattern;
+}
+
+// Headers of every matching rule, later rules overriding earlier ones
+function headersFor(rules, urlPath) {
+  return rules
+    .filter(rule => matchesPattern(rule.pattern, urlPath))
+    .reduce((headers, rule) => ({ ...headers, ...rule.headers }), {});
+}
+
+function readHeaderRules(registryPath) {
+  const headersFile = path.join(registryPath, '_headers');
+  return fs.existsSync(headersFile) ? parseHeadersFile(fs.readFileSync(headersFile, 'utf8')) : [];
+}
+
+// Where a listening server is reached; a wildcard host through localhost
+function serverUrl(server, host) {
+  const urlHost = ['0.0.0.0', '::'].includes(host) ? 'localhost' : host;
+  return `http://${urlHost}:${server.address().port}`;
+}
+
+// JSON as served: registry URLs point at the local server
+function localizeContent(content, file, config, localUrl) {
+  return file.endsWith('.json') ? content.split(config.baseUrl).join(localUrl) : content;
+}
+
+// The registry root a served path belongs to: "v/<version>/" for a snapshot, "" otherwise
+function registryRootOf(relativePath) {
+  const match = new RegExp(`^${SNAPSHOTS_DIR}/\\d+\\.\\d+\\.\\d+/`).exec(relativePath);
+  return match ? match[0] : '';
+}
+
+// Packs embed registry files, so the ones built for production are rebuilt
+// from the localized files. Cached per registry root until its index changes,
+// which it does whenever a packed file changes.
+function createLocalPacks(config) {
+  const cache = new Map();
+
+  return (root, localUrl) => {
+    const rootPath = path.join(config.outputPath, root);
+    const indexPath = path.join(rootPath, 'api/index.json');
+    if (!fs.existsSync(indexPath)) {
+      return null;
+    }
+    const indexContent = fs.readFileSync(indexPath, 'utf8');
+    const cached = cache.get(root);
+    if (cached && cached.indexContent === indexContent && cached.localUrl === localUrl) {
+      return cached.packs;
+    }
+
+    const index = JSON.parse(indexContent);
+    if (!index.packs) {
+      return null;
+    }
+    const [registry, ...templates] = createPacks(
+      listSnapshotFiles(rootPath),
+      file => localizeContent(fs.readFileSync(path.join(rootPath, file), 'utf8'), file, config, localUrl),
+      {
+        version: index.version,
+        baseUrl: `${localUrl}/${root}`.replace(/\/+$/, ''),
+        templates: index.packs.templates.map(pack => pack.name)
+      }
+    );
+    const packs = {
+      files: new Map([registry, ...templates].map(pack => [`${root}${pack.path}`, pack.content])),
+      entries: { registry: registry.entry, templates: templates.map(pack => pack.entry) }
+    };
+    cache.set(root, { indexContent, localUrl, packs });
+    return packs;
+  };
+}
+
+// Serves the built registry like the production host: same paths, case-sensitive,
+// _headers applied, and registry URLs in JSON pointing at the local server
+function createRegistryServer(config, host = DEFAULT_HOST) {
+  const localPacks = createLocalPacks(config);
+  const server = http.createServer((request, response) => {
+    const localUrl = serverUrl(server, host);
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(new URL(request.url, localUrl).pathname);
+    } catch (error) {
+      // Malformed percent-encoding such as /api/%E0%A4%A
+      response.writeHead(400, { 'Content-Type': 'application/json' });
+      response.end(request.method === 'HEAD' ? undefined : JSON.stringify({ error: 'Bad request', path: request.url }));
+      console.log(`  400 ${request.method} ${request.url}`);
+      return;
+    }
+    const relativePath = urlPath.replace(/^\/+/, '');
+    const rules = readHeaderRules(config.outputPath);
+    const headers = headersFor(rules, urlPath);
+
+    const send = (status, body = '', extraHeaders = {}) => {
+      response.writeHead(status, { ...headers, ...extraHeaders });
+      response.end(request.method === 'HEAD' ? undefined : body);
+      console.log(`  ${status} ${request.method} ${urlPath}`);
+    };
+
+    if (request.method === 'OPTIONS') {
+      send(204);
+      return;
+    }
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+      send(405, '', { Allow: 'GET, HEAD, OPTIONS' });
+      return;
+    }
+
+    // Only published files: no scripts, dotfiles or paths outside the registry
+    const segments = relativePath.split('/');
+    const published = PUBLISHED_DIRS.includes(segments[0]) && !segments.some(segment => segment.startsWith('.'));
+    const filePath = path.join(config.outputPath, relativePath);
+    if (!published || !existsWithExactCase(config.outputPath, relativePath) || !fs.statSync(filePath).isFile()) {
+      send(404, JSON.stringify({ error: 'Not found', path: urlPath }), { 'Content-Type': 'application/json' });
+      return;
+    }
+
+    // Packs and the index listing them are served as built for the local URL
+    const root = registryRootOf(relativePath);
+    const servesPacks = relativePath === `${root}api/index.json` || relativePath.startsWith(`${root}${PACKS_DIR}/`);
+    const packs = servesPacks ? localPacks(root, localUrl) : null;
+
+    let body = fs.readFileSync(filePath);
+    if (packs && packs.files.has(relativePath)) {
+      body = packs.files.get(relativePath);
+    } else if (filePath.endsWith('.json')) {
+      body = localizeContent(body.toString('utf8'), relativePath, config, localUrl);
+      if (packs) {
+        body = JSON.stringify({ ...JSON.parse(body), packs: packs.entries }, null, 2);
+      }
+      body = Buffer.from(body);
+    }
+
+    // The checksum of the bytes served, so unchanged files revalidate as 304
+    const etag = `"${contentDigest(body).checksum}"`;
+    const cacheHeaders = {
+      'Content-Type': headers['Content-Type'] || CONTENT_TYPES[path.extname(filePath)] || 'text/plain',
+      'Cache-Control': 'no-cache',
+      ETag: etag
+    };
+
+    const ifNoneMatch = request.headers['if-none-match'];
+    if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).some(tag => tag === etag || tag === '*')) {
+      send(304, '', cacheHeaders);
+      return;
+    }
+
+    send(200, body, { ...cacheHeaders, 'Content-Length': body.length });
+  });
+
+  return server;
+}
+
+// Build the registry in a child process, so every build starts from fresh config
+function runBuild(buildArgs) {
+  return new Promise(resolve => {
+    const started = Date.now();
+    execFile(process.execPath, [BUILD_SCRIPT, ...buildArgs], { maxBuffer: 16 * 1024 * 1024 }, (error, stdout, stderr) => {
+      if (error) {
+        console.error(`❌ Build failed:\n${(stderr || stdout).trim().split('\n').slice(-10).join('\n')}`);
+        resolve(false);
+        return;
+      }
+      console.log(`✅ Registry built in ${Date.now() - started}ms`);
+      resolve(true);
+    });
+  });
+}
+
+// Watch a directory tree, including directories created later (a new component)
+function watchTree(root, onChange) {
+  const watchers = new Map();
+
+  const watchDirectory = dir => {
+    if (watchers.has(dir) || !fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+      return;
+    }
+    watchers.set(dir, fs.watch(dir, (event, file) => {
+      if (!file) {
+        return;
+      }
+      const changed = path.join(dir, file.toString());
+      watchDirectory(changed);
+      onChange(changed);
+    }));
+    fs.readdirSync(dir).forEach(entry => watchDirectory(path.join(dir, entry)));
+  };
+
+  watchDirectory(root);
+  return () => watchers.forEach(watcher => watcher.close());
+}
+
+// Rebuild when a source file changes. Changes during a build queue one more.
+function watchSources(config, buildArgs) {
+  const roots = [
+    ...Object.values(config.sources).map(dir => path.join(config.sourcePath, dir)),
+    config.templatesPath
+  ];
+  let timer = null;
+  let building = false;
+  let queued = [];
+
+  const rebuild = async () => {
+    if (building) {
+      return;
+    }
+    building = true;
+    const changed = queued;
+    queued = [];
+    console.log(`\n🔄 Rebuilding (${changed.map(file => path.relative(config.sourcePath, file)).join(', ')})...`);
+    await runBuild(buildArgs);
+    building = false;
+    if (queued.length > 0) {
+      rebuild();
+    }
+  };
+
+  const closers = roots.map(root => watchTree(root, file => {
+    if (!isSourceFile(file) || queued.includes(file)) {
+      return;
+    }
+    queued.push(file);
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, REBUILD_DELAY_MS);
+  }));
+
+  console.log(`👀 Watching ${roots.map(root => path.relative(process.cwd(), root) || '.').join(', ')}`);
+  return () => closers.forEach(close => close());
+}
+
+async function main() {
+  const argv = process.argv.slice(2);
+  const options = parseArgs(argv, SERVER_FLAGS);
+  const port = options.port !== undefined ? Number(options.port) : DEFAULT_PORT;
+  const host = options.host || DEFAULT_HOST;
+
+  if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    throw new Error(`Invalid port: ${options.port}`);
+  }
+
+  // Everything but the server's own flags is passed on to the builder
+  const buildArgs = argv.filter((arg, i) =>
+    !SERVER_FLAGS[arg.split('=')[0]] && !SERVER_FLAGS[argv[i - 1]] && arg !== '--no-watch');
+  const config = loadRegistryConfig(buildArgs);
+
+  console.log('🏗️  Building registry...');
+  if (!(await runBuild(buildArgs))) {
+    process.exit(1);
+  }
+
+  const server = createRegistryServer(config, host);
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const localUrl = serverUrl(server, host);
+  console.log(`\n🌐 Serving ${config.outputPath} at ${localUrl}`);
+  console.log(`📋 Index: ${localUrl}/api/index.json`);
+
+  if (!options.noWatch) {
+    watchSources(config, buildArgs);
+  }
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  parseHeadersFile,
+  headersFor,
+  createRegistryServer
+};
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+
+// Templates can extend another one ("extends": "canopy"): the parent's resolved
+// definition is inherited and the template's own fields are deep-merged over it.
+// What identifies a template is never inherited.
+const OWN_FIELDS = ['name', 'displayName', 'description', 'version', 'extends'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Objects merge key by key; arrays (gradient stops) and values replace
+function deepMerge(base, override) {
+  if (!isPlainObject(base) || !isPlainObject(override)) {
+    return override;
+  }
+  const merged = { ...base };
+  Object.entries(override).forEach(([key, value]) => {
+    merged[key] = key in base ? deepMerge(base[key], value) : value;
+  });
+  return merged;
+}
+
+function readTemplateDefinition(templatesDir, templateName) {
+  const templatePath = path.join(templatesDir, templateName, 'template.json');
+  if (!fs.existsSync(templatePath)) {
+    throw new Error(`Unknown template: ${templateName}`);
+  }
+  return JSON.parse(fs.readFileSync(templatePath, 'utf8'));
+}
+
+// A template's definition with its `extends` chain applied, plus the chain
+// itself, nearest parent first
+function resolveTemplate(templatesDir, templateName, descendants = []) {
+  if (descendants.includes(templateName)) {
+    throw new Error(`Template inheritance cycle: ${[...descendants, templateName].join(' → ')}`);
+  }
+
+  const template = readTemplateDefinition(templatesDir, templateName);
+  if (!template.extends) {
+    return { template, ancestors: [] };
+  }
+
+  const parent = resolveTemplate(templatesDir, template.extends, [...descendants, templateName]);
+  const inherited = { ...parent.template };
+  OWN_FIELDS.forEach(field => delete inherited[field]);
+
+  return {
+    template: deepMerge(inherited, template),
+    ancestors: [template.extends, ...parent.ancestors]
+  };
+}
+
+module.exports = {
+  OWN_FIELDS,
+  deepMerge,
+  resolveTemplate
+};
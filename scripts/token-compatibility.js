@@ -0,0 +1,110 @@
+const fs = require('fs');
+const path = require('path');
+const { parseSource, collectExportedConstants } = require('./analyze-source');
+
+// "typography.fontSizes.xs" -> ['typography', 'fontSizes', 'xs'], "spacing[0.5]" -> ['spacing', '0.5']
+function parseTokenPath(tokenPath) {
+  const [root] = tokenPath.match(/^[A-Za-z_$][\w$]*/) || [''];
+  const segments = [root];
+  const pattern = /\.([A-Za-z_$][\w$]*)|\[([^\]]+)\]/g;
+  let match;
+
+  pattern.lastIndex = root.length;
+  while ((match = pattern.exec(tokenPath)) !== null) {
+    segments.push(match[1] !== undefined ? match[1] : match[2].replace(/^['"]|['"]$/g, ''));
+  }
+
+  return segments;
+}
+
+function hasTokenPath(tokens, segments) {
+  let current = tokens;
+
+  for (const segment of segments) {
+    if (current === null || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, segment)) {
+      return false;
+    }
+    current = current[segment];
+  }
+
+  return true;
+}
+
+// Base token values from tokens/*.ts.template, keyed by token group
+function loadBaseTokens(tokenFiles) {
+  const tokens = {};
+
+  tokenFiles.forEach(({ name, sourcePath }) => {
+    const sourceFile = parseSource(fs.readFileSync(sourcePath, 'utf8'), `${name}.ts`);
+    Object.assign(tokens, collectExportedConstants(sourceFile));
+  });
+
+  return tokens;
+}
+
+// Token groups a template overrides, from the <group>.json files it ships
+function loadTemplateTokens(templateDir) {
+  const tokens = {};
+
+  fs.readdirSync(templateDir)
+    .filter(file => file.endsWith('.json') && !['template.json', 'metadata.json'].includes(file))
+    .forEach(file => {
+      tokens[file.replace('.json', '')] = JSON.parse(fs.readFileSync(path.join(templateDir, file), 'utf8'));
+    });
+
+  return tokens;
+}
+
+// Where each token used by a component resolves for one template. Groups the
+// template defines replace the base group on install, so they must carry the key
+// themselves; other groups fall back to the base token files.
+function checkTokenUsage(tokenUsage, templateTokens, baseTokens) {
+  const missingFromTemplate = [];
+  const missingFromBase = [];
+
+  (tokenUsage || []).forEach(tokenPath => {
+    const segments = parseTokenPath(tokenPath);
+    const [group] = segments;
+
+    if (!hasTokenPath(baseTokens, segments)) {
+      missingFromBase.push(tokenPath);
+    }
+    if (templateTokens && Object.prototype.hasOwnProperty.call(templateTokens, group)) {
+      if (!hasTokenPath(templateTokens, segments)) {
+        missingFromTemplate.push(tokenPath);
+      }
+    } else if (!hasTokenPath(baseTokens, segments)) {
+      missingFromTemplate.push(tokenPath);
+    }
+  });
+
+  return { missingFromTemplate, missingFromBase };
+}
+
+// { <template>: { <component>: { compatible, missingTokens } } }
+function buildCompatibilityMatrix(components, templates, baseTokens) {
+  const matrix = {};
+
+  Object.entries(templates).forEach(([templateName, templateTokens]) => {
+    matrix[templateName] = {};
+
+    components.forEach(component => {
+      const { missingFromTemplate } = checkTokenUsage(component.tokenUsage, templateTokens, baseTokens);
+      matrix[templateName][component.name] = {
+        compatible: missingFromTemplate.length === 0,
+        missingTokens: missingFromTemplate
+      };
+    });
+  });
+
+  return matrix;
+}
+
+module.exports = {
+  parseTokenPath,
+  hasTokenPath,
+  loadBaseTokens,
+  loadTemplateTokens,
+  checkTokenUsage,
+  buildCompatibilityMatrix
+};
@@ -0,0 +1,28 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { readPack, extractPack } = require('./registry-packs');
+
+// Extract a registry or template pack, verifying every file's integrity hash,
+// e.g. to vendor the registry into another repository
+async function main() {
+  const [packFile, targetDir] = process.argv.slice(2);
+
+  if (!packFile || !targetDir) {
+    console.error('Usage: node scripts/unpack-registry.js <pack.json.gz> <directory>');
+    process.exit(1);
+  }
+
+  const pack = readPack(fs.readFileSync(path.resolve(packFile)));
+  const files = extractPack(pack, path.resolve(targetDir));
+
+  console.log(`📦 ${pack.kind} pack ${pack.name} ${pack.version}: ${files.length} files extracted to ${targetDir}`);
+}
+
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  });
+}
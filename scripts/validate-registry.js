@@ -3,11 +3,49 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const {
+  toComponentSlug,
+  resolveComponentDirectory,
+  urlToRegistryPath,
+  existsWithExactCase
+} = require('./registry-paths');
+const { findCycles, findMissingDependencies } = require('./registry-graph');
+const { loadBaseTokens, loadTemplateTokens, checkTokenUsage } = require('./token-compatibility');
+const { validateRegistrySchemas } = require('./schema-validation');
+const { SNAPSHOTS_DIR } = require('./registry-snapshots');
+const { readPack } = require('./registry-packs');
+const { MANIFEST_FILE } = require('./component-manifest');
+const {
+  CONTRAST_LEVELS,
+  DEFAULT_CONTRAST_LEVEL,
+  auditColors,
+  findContrastFailures
+} = require('./color-contrast');
+const { COLOR_MODES } = require('./color-utils');
+const { contentDigest } = require('./build-output');
+const { FORMATS, createReporter, formatReport } = require('./validation-report');
+const { DEFAULT_CONFIG, parseArgs, loadRegistryConfig } = require('./registry-config');
 
-const REGISTRY_PATH = path.join(__dirname, '..');
+const CLI_FLAGS = {
+  '--format': 'format',
+  '--output': 'output',
+  '--contrast': 'contrast'
+};
+
+// Every finding from the validation steps, with its rule id and severity
+let reporter = createReporter();
+
+// The build being validated: outputPath from registry.config.js or --out
+let registryPath = DEFAULT_CONFIG.outputPath;
+
+// The API file listing a graph node such as "components:toast"
+function apiFileForNode(key) {
+  return key.startsWith('providers:') ? 'api/providers.json' : 'api/components.json';
+}
 
 function validateRegistryStructure() {
   console.log('🔍 Validating registry structure...');
+  reporter.check('structure');
   
   const requiredDirs = ['api', 'components', 'templates', 'providers', 'tokens'];
   const requiredFiles = [
@@ -15,16 +53,20 @@ function validateRegistryStructure() {
     'api/components.json', 
     'api/templates.json',
     'api/providers.json',
-    'api/tokens.json'
+    'api/tokens.json',
+    'api/graph.json',
+    'api/changelog.json',
+    'api/versions.json',
+    'api/search.json'
   ];
   
   let isValid = true;
   
   // Check directories
   requiredDirs.forEach(dir => {
-    const dirPath = path.join(REGISTRY_PATH, dir);
+    const dirPath = path.join(registryPath, dir);
     if (!fs.existsSync(dirPath)) {
-      console.error(`❌ Missing directory: ${dir}`);
+      reporter.error('structure/missing-directory', dir, `Missing directory: ${dir}`);
       isValid = false;
     } else {
       console.log(`✅ Directory exists: ${dir}`);
@@ -33,9 +75,9 @@ function validateRegistryStructure() {
   
   // Check API files
   requiredFiles.forEach(file => {
-    const filePath = path.join(REGISTRY_PATH, file);
+    const filePath = path.join(registryPath, file);
     if (!fs.existsSync(filePath)) {
-      console.error(`❌ Missing file: ${file}`);
+      reporter.error('structure/missing-file', file, `Missing file: ${file}`);
       isValid = false;
     } else {
       try {
@@ -43,7 +85,7 @@ function validateRegistryStructure() {
         JSON.parse(content); // Validate JSON
         console.log(`✅ Valid JSON file: ${file}`);
       } catch (error) {
-        console.error(`❌ Invalid JSON in: ${file} - ${error.message}`);
+        reporter.error('structure/invalid-json', file, `Invalid JSON in: ${file} - ${error.message}`);
         isValid = false;
       }
     }
@@ -52,12 +94,39 @@ function validateRegistryStructure() {
   return isValid;
 }
 
+function validateSchemas() {
+  console.log('\n📐 Validating files against JSON schemas...');
+  reporter.check('schemas');
+  
+  try {
+    const { checked, errors } = validateRegistrySchemas(registryPath);
+    
+    if (errors.length === 0) {
+      console.log(`✅ ${checked} files match their schemas`);
+      return true;
+    }
+    
+    errors.forEach(error => {
+      reporter.error('schema', error.file, `${error.file} ${error.path || '/'}: ${error.message}`);
+    });
+    
+    const failedFiles = new Set(errors.map(error => error.file));
+    console.log(`📊 ${errors.length} schema errors in ${failedFiles.size} of ${checked} files`);
+    return false;
+    
+  } catch (error) {
+    reporter.error('internal', null, `Error validating schemas: ${error.message}`);
+    return false;
+  }
+}
+
 function validateComponents() {
   console.log('\n🧩 Validating components...');
+  reporter.check('components');
   
-  const componentsPath = path.join(REGISTRY_PATH, 'api/components.json');
+  const componentsPath = path.join(registryPath, 'api/components.json');
   if (!fs.existsSync(componentsPath)) {
-    console.error('❌ Components API file missing');
+    reporter.error('structure/missing-file', 'api/components.json', 'Components API file missing');
     return false;
   }
   
@@ -66,62 +135,294 @@ function validateComponents() {
     const components = componentsData.components || componentsData;
     
     if (!Array.isArray(components)) {
-      console.error('❌ Components data is not an array');
+      reporter.error('component/invalid-api', 'api/components.json', 'Components data is not an array');
       return false;
     }
     
     let isValid = true;
+    const targetOwners = new Map();
     
     components.forEach(component => {
       const requiredFields = ['name', 'displayName', 'description', 'category', 'dependencies', 'exports', 'version'];
       
       requiredFields.forEach(field => {
         if (!component.hasOwnProperty(field)) {
-          console.error(`❌ Component ${component.name || 'unknown'} missing field: ${field}`);
+          reporter.error('component/missing-field', 'api/components.json', `Component ${component.name || 'unknown'} missing field: ${field}`);
           isValid = false;
         }
       });
       
       // Check component directory and files exist
-      const componentDir = path.join(REGISTRY_PATH, 'components', component.name);
-      if (!fs.existsSync(componentDir)) {
-        console.error(`❌ Component directory missing: ${component.name}`);
+      const directory = resolveComponentDirectory(component.name, registryPath);
+      if (!directory) {
+        reporter.error('component/missing-directory', 'api/components.json', `Component directory missing: ${component.name}`);
         isValid = false;
       } else {
-        const templateFile = path.join(componentDir, 'component.tsx.template');
-        const metadataFile = path.join(componentDir, 'component.json');
-        
-        if (!fs.existsSync(templateFile)) {
-          console.error(`❌ Component template missing: ${component.name}/component.tsx.template`);
+        ['component.json', ...(component.files || []).map(file => file.path)].forEach(file => {
+          if (!existsWithExactCase(registryPath, `components/${directory}/${file}`)) {
+            reporter.error('component/missing-file', `components/${directory}/${file}`, `Component file missing: components/${directory}/${file}`);
+            isValid = false;
+          }
+        });
+      }
+      
+      // Two components installing the same file would overwrite each other
+      (component.files || []).forEach(file => {
+        const owner = targetOwners.get(file.target);
+        if (owner) {
+          reporter.error('component/target-collision', 'api/components.json', `Components ${owner} and ${component.name} both install ${file.target}`);
           isValid = false;
+        } else {
+          targetOwners.set(file.target, component.name);
         }
+      });
+      
+      if (isValid) {
+        console.log(`✅ Component valid: ${component.name}`);
+      }
+    });
+    
+    console.log(`📊 Total components: ${components.length}`);
+    return isValid;
+    
+  } catch (error) {
+    reporter.error('internal', 'api/components.json', `Error validating components: ${error.message}`);
+    return false;
+  }
+}
+
+// Authored metadata: the vocabulary is checked by the manifest schema; this
+// flags components still on the builder's defaults and uses of deprecated ones
+function validateComponentMetadata() {
+  console.log('\n🏷️  Validating component metadata...');
+  reporter.check('metadata');
+  
+  try {
+    const components = readApiItems('api/components.json', 'components');
+    const deprecated = new Set(components.filter(c => c.status === 'deprecated').map(c => c.name));
+    let defaulted = 0;
+    
+    components.forEach(component => {
+      const directory = resolveComponentDirectory(component.name, registryPath);
+      const manifestFile = `components/${directory}/${MANIFEST_FILE}`;
+      const manifest = directory && fs.existsSync(path.join(registryPath, manifestFile))
+        ? JSON.parse(fs.readFileSync(path.join(registryPath, manifestFile), 'utf8'))
+        : {};
+      
+      const missing = ['description', 'category'].filter(field => manifest[field] === undefined);
+      if (missing.length > 0) {
+        reporter.warning('metadata/default', manifestFile, `${component.name} uses the default ${missing.join(' and ')}; set them in ${MANIFEST_FILE}`);
+        defaulted++;
+      }
+      
+      ((component.registryDependencies || {}).components || [])
+        .filter(dependency => deprecated.has(dependency))
+        .forEach(dependency => {
+          reporter.warning('metadata/deprecated-dependency', 'api/components.json', `${component.name} depends on deprecated component ${dependency}`);
+        });
+    });
+    
+    if (defaulted === 0) {
+      console.log(`✅ ${components.length} components have authored metadata`);
+    }
+    if (deprecated.size > 0) {
+      console.log(`⚠️  Deprecated: ${[...deprecated].join(', ')}`);
+    }
+    
+    return true;
+    
+  } catch (error) {
+    reporter.error('internal', 'api/components.json', `Error validating component metadata: ${error.message}`);
+    return false;
+  }
+}
+
+function validateComponentCasing() {
+  console.log('\n🔠 Validating component directory casing...');
+  reporter.check('casing');
+  
+  const componentsDir = path.join(registryPath, 'components');
+  if (!fs.existsSync(componentsDir)) {
+    return true;
+  }
+  
+  let isValid = true;
+  const directoriesBySlug = new Map();
+  
+  fs.readdirSync(componentsDir)
+    .filter(dir => fs.statSync(path.join(componentsDir, dir)).isDirectory())
+    .forEach(dir => {
+      if (!/^[A-Z][A-Za-z0-9]*$/.test(dir)) {
+        reporter.error('casing/directory', `components/${dir}`, `Component directory must be PascalCase: components/${dir}`);
+        isValid = false;
+      }
+      
+      const slug = toComponentSlug(dir);
+      if (directoriesBySlug.has(slug)) {
+        reporter.error('casing/collision', `components/${dir}`, `Component directories collide on case-insensitive filesystems: ${directoriesBySlug.get(slug)}, ${dir}`);
+        isValid = false;
+      }
+      directoriesBySlug.set(slug, dir);
+    });
+  
+  if (isValid) {
+    console.log(`✅ ${directoriesBySlug.size} component directories use canonical casing`);
+  }
+  
+  return isValid;
+}
+
+function collectRegistryUrls(apiFile, data) {
+  const urls = [];
+  const items = data.components || data.providers || data.tokens || data.templates || [];
+  
+  items.forEach(item => {
+    ['downloadUrl', 'metadataUrl', 'templateUrl'].forEach(field => {
+      if (item[field]) {
+        urls.push({ owner: `${apiFile} → ${item.name}.${field}`, url: item[field] });
+      }
+    });
+    (item.tokenFiles || []).forEach(tokenFile => {
+      urls.push({ owner: `${apiFile} → ${item.name}.tokenFiles.${tokenFile.type}`, url: tokenFile.url });
+    });
+    (item.nativeTokenFiles || []).forEach(tokenFile => {
+      urls.push({ owner: `${apiFile} → ${item.name}.nativeTokenFiles.${tokenFile.type}`, url: tokenFile.url });
+    });
+    (item.files || []).filter(file => file.url).forEach(file => {
+      urls.push({ owner: `${apiFile} → ${item.name}.files.${file.path}`, url: file.url });
+    });
+  });
+  
+  Object.entries(data.facets || {}).forEach(([facet, values]) => {
+    Object.entries(values).forEach(([value, entry]) => {
+      urls.push({ owner: `${apiFile} → facets.${facet}.${value}`, url: entry.url });
+    });
+  });
+  
+  if (data.packs) {
+    [data.packs.registry, ...data.packs.templates].forEach(pack => {
+      urls.push({ owner: `${apiFile} → packs.${pack.name}`, url: pack.url });
+    });
+  }
+  
+  (data.versions || []).forEach(snapshot => {
+    urls.push({ owner: `${apiFile} → ${snapshot.version}.index`, url: snapshot.index });
+  });
+  
+  return urls;
+}
+
+function validateUrls() {
+  console.log('\n🔗 Validating registry URLs...');
+  reporter.check('urls');
+  
+  const itemApiFiles = ['api/index.json', 'api/components.json', 'api/providers.json', 'api/tokens.json', 'api/templates.json'];
+  const snapshotsDir = path.join(registryPath, SNAPSHOTS_DIR);
+  const snapshotApiFiles = fs.existsSync(snapshotsDir)
+    ? fs.readdirSync(snapshotsDir).sort().flatMap(version =>
+      itemApiFiles.map(apiFile => `${SNAPSHOTS_DIR}/${version}/${apiFile}`))
+    : [];
+  const apiFiles = [...itemApiFiles, 'api/search.json', 'api/versions.json', ...snapshotApiFiles];
+  let isValid = true;
+  let checked = 0;
+  
+  apiFiles.forEach(apiFile => {
+    const apiPath = path.join(registryPath, apiFile);
+    if (!fs.existsSync(apiPath)) {
+      return;
+    }
+    
+    try {
+      const data = JSON.parse(fs.readFileSync(apiPath, 'utf8'));
+      // Snapshot URLs are relative to their own v/<version>/ directory
+      const root = path.join(registryPath, path.dirname(path.dirname(apiFile)));
+      
+      collectRegistryUrls(apiFile, data).forEach(({ owner, url }) => {
+        checked++;
+        const relativePath = urlToRegistryPath(url, data.baseUrl || '');
         
-        if (!fs.existsSync(metadataFile)) {
-          console.error(`❌ Component metadata missing: ${component.name}/component.json`);
+        if (!relativePath) {
+          reporter.error('url/outside-base', apiFile, `URL outside registry baseUrl: ${owner} (${url})`);
+          isValid = false;
+        } else if (!existsWithExactCase(root, relativePath)) {
+          reporter.error('url/unresolved', apiFile, `URL does not resolve to a file: ${owner} (${relativePath})`);
           isValid = false;
         }
+      });
+    } catch (error) {
+      reporter.error('internal', apiFile, `Error validating URLs in ${apiFile}: ${error.message}`);
+      isValid = false;
+    }
+  });
+  
+  if (isValid) {
+    console.log(`✅ All ${checked} URLs resolve to files in the registry`);
+  }
+  
+  return isValid;
+}
+
+// Every pack in the index must match its listed hash, and every file in it its own
+function validatePacks() {
+  console.log('\n📦 Validating registry packs...');
+  reporter.check('packs');
+  
+  try {
+    const index = JSON.parse(fs.readFileSync(path.join(registryPath, 'api/index.json'), 'utf8'));
+    if (!index.packs) {
+      reporter.error('packs/missing', 'api/index.json', 'Index lists no packs');
+      return false;
+    }
+    
+    let isValid = true;
+    const packs = [index.packs.registry, ...index.packs.templates];
+    
+    packs.forEach(entry => {
+      const packPath = urlToRegistryPath(entry.url, index.baseUrl);
+      if (!packPath || !fs.existsSync(path.join(registryPath, packPath))) {
+        // Reported by the URL check
+        isValid = false;
+        return;
       }
       
-      if (isValid) {
-        console.log(`✅ Component valid: ${component.name}`);
+      const content = fs.readFileSync(path.join(registryPath, packPath));
+      if (contentDigest(content).integrity !== entry.integrity) {
+        reporter.error('packs/integrity', packPath, `Pack ${entry.name} does not match its integrity hash in api/index.json`);
+        isValid = false;
+        return;
+      }
+      
+      try {
+        const pack = readPack(content);
+        if (pack.version !== index.version || pack.files.length !== entry.files) {
+          reporter.error('packs/stale', packPath, `Pack ${entry.name} holds ${pack.files.length} files of ${pack.version}, index lists ${entry.files} files of ${index.version}`);
+          isValid = false;
+        }
+      } catch (error) {
+        reporter.error('packs/invalid', packPath, error.message);
+        isValid = false;
       }
     });
     
-    console.log(`📊 Total components: ${components.length}`);
+    if (isValid) {
+      console.log(`✅ ${packs.length} packs match their integrity hashes`);
+    }
+    
     return isValid;
     
   } catch (error) {
-    console.error(`❌ Error validating components: ${error.message}`);
+    reporter.error('internal', 'api/index.json', `Error validating packs: ${error.message}`);
     return false;
   }
 }
 
 function validateTemplates() {
   console.log('\n🎨 Validating templates...');
+  reporter.check('templates');
   
-  const templatesPath = path.join(REGISTRY_PATH, 'api/templates.json');
+  const templatesPath = path.join(registryPath, 'api/templates.json');
   if (!fs.existsSync(templatesPath)) {
-    console.error('❌ Templates API file missing');
+    reporter.error('structure/missing-file', 'api/templates.json', 'Templates API file missing');
     return false;
   }
   
@@ -130,7 +431,7 @@ function validateTemplates() {
     const templates = templatesData.templates || templatesData;
     
     if (!Array.isArray(templates)) {
-      console.error('❌ Templates data is not an array');
+      reporter.error('template/invalid-api', 'api/templates.json', 'Templates data is not an array');
       return false;
     }
     
@@ -141,34 +442,39 @@ function validateTemplates() {
       
       requiredFields.forEach(field => {
         if (!template.hasOwnProperty(field)) {
-          console.error(`❌ Template ${template.name || 'unknown'} missing field: ${field}`);
+          reporter.error('template/missing-field', 'api/templates.json', `Template ${template.name || 'unknown'} missing field: ${field}`);
           isValid = false;
         }
       });
       
+      if (template.extends && !templates.some(other => other.name === template.extends)) {
+        reporter.error('template/unknown-parent', 'api/templates.json', `Template ${template.name} extends unknown template: ${template.extends}`);
+        isValid = false;
+      }
+      
       // Check template directory and files exist
-      const templateDir = path.join(REGISTRY_PATH, 'templates', template.name);
+      const templateDir = path.join(registryPath, 'templates', template.name);
       if (!fs.existsSync(templateDir)) {
-        console.error(`❌ Template directory missing: ${template.name}`);
+        reporter.error('template/missing-directory', 'api/templates.json', `Template directory missing: ${template.name}`);
         isValid = false;
       } else {
         const colorsFile = path.join(templateDir, 'colors.json');
         const metadataFile = path.join(templateDir, 'metadata.json');
         
         if (!fs.existsSync(colorsFile)) {
-          console.error(`❌ Template colors missing: ${template.name}/colors.json`);
+          reporter.error('template/missing-file', `templates/${template.name}/colors.json`, `Template colors missing: ${template.name}/colors.json`);
           isValid = false;
         } else {
           try {
             JSON.parse(fs.readFileSync(colorsFile, 'utf8'));
           } catch (error) {
-            console.error(`❌ Invalid colors JSON: ${template.name}/colors.json`);
+            reporter.error('template/invalid-json', `templates/${template.name}/colors.json`, `Invalid colors JSON: ${template.name}/colors.json`);
             isValid = false;
           }
         }
         
         if (!fs.existsSync(metadataFile)) {
-          console.error(`❌ Template metadata missing: ${template.name}/metadata.json`);
+          reporter.error('template/missing-file', `templates/${template.name}/metadata.json`, `Template metadata missing: ${template.name}/metadata.json`);
           isValid = false;
         }
       }
@@ -182,15 +488,114 @@ function validateTemplates() {
     return isValid;
     
   } catch (error) {
-    console.error(`❌ Error validating templates: ${error.message}`);
+    reporter.error('internal', 'api/templates.json', `Error validating templates: ${error.message}`);
+    return false;
+  }
+}
+
+// Every theme color a component or provider reads must exist in the base
+// palette and in both modes of each template's colors.json
+function validateTemplateColors() {
+  console.log('\n🧪 Validating template theme colors...');
+  reporter.check('colors');
+  
+  try {
+    const items = [
+      ...readApiItems('api/components.json', 'components'),
+      ...readApiItems('api/providers.json', 'providers')
+    ];
+    const themeColors = [...new Set(items.flatMap(item => item.colorUsage || []))].sort();
+    const baseColors = loadBaseTokens([{ name: 'colors', sourcePath: path.join(registryPath, 'tokens/colors.ts.template') }]).colors || {};
+    let isValid = true;
+    
+    COLOR_MODES.forEach(mode => {
+      themeColors.filter(key => !(baseColors[mode] || {}).hasOwnProperty(key)).forEach(key => {
+        const users = items.filter(item => (item.colorUsage || []).includes(key)).map(item => item.name);
+        reporter.error('colors/undefined', 'tokens/colors.ts.template', `Base ${mode} colors lack ${key}, used by: ${users.join(', ')}`);
+        isValid = false;
+      });
+    });
+    
+    const templatesDir = path.join(registryPath, 'templates');
+    fs.readdirSync(templatesDir)
+      .filter(dir => fs.existsSync(path.join(templatesDir, dir, 'colors.json')))
+      .forEach(templateName => {
+        const colorsFile = `templates/${templateName}/colors.json`;
+        const colors = JSON.parse(fs.readFileSync(path.join(registryPath, colorsFile), 'utf8'));
+        const missing = COLOR_MODES.flatMap(mode => themeColors
+          .filter(key => !(colors[mode] || {}).hasOwnProperty(key))
+          .map(key => `${mode}.${key}`));
+        
+        missing.forEach(key => {
+          reporter.error('colors/missing', colorsFile, `${templateName} lacks theme color ${key}`);
+        });
+        
+        if (missing.length > 0) {
+          isValid = false;
+        } else {
+          console.log(`✅ ${templateName}: all ${themeColors.length} theme colors in ${COLOR_MODES.join(' and ')}`);
+        }
+      });
+    
+    return isValid;
+    
+  } catch (error) {
+    reporter.error('internal', null, `Error validating template colors: ${error.message}`);
+    return false;
+  }
+}
+
+// Every text/surface pair of each template palette should meet the contrast
+// level. Pairs below it are errors when a level is configured (registry.config
+// `contrast` or --contrast) and warnings against AA otherwise.
+function validateTemplateContrast(configuredLevel = null) {
+  const level = configuredLevel || DEFAULT_CONTRAST_LEVEL;
+  const report = configuredLevel ? reporter.error : reporter.warning;
+  console.log(`\n🌗 Validating template color contrast (WCAG ${level}, ${CONTRAST_LEVELS[level]}:1${configuredLevel ? '' : ', warnings only'})...`);
+  reporter.check('contrast');
+  
+  try {
+    const templatesDir = path.join(registryPath, 'templates');
+    let isValid = true;
+    
+    fs.readdirSync(templatesDir)
+      .filter(dir => fs.existsSync(path.join(templatesDir, dir, 'colors.json')))
+      .forEach(templateName => {
+        const colorsFile = `templates/${templateName}/colors.json`;
+        const audit = auditColors(JSON.parse(fs.readFileSync(path.join(registryPath, colorsFile), 'utf8')));
+        const failures = findContrastFailures(audit, level);
+        
+        failures.forEach(pair => {
+          report(
+            'contrast/insufficient',
+            colorsFile,
+            `${templateName} ${pair.mode}: ${pair.foreground} on ${pair.background} has contrast ${pair.ratio}:1, below ${level} (${CONTRAST_LEVELS[level]}:1)`
+          );
+        });
+        
+        if (failures.length > 0) {
+          if (configuredLevel) {
+            isValid = false;
+          }
+        } else {
+          const pairs = Object.values(audit).flat();
+          console.log(`✅ ${templateName}: ${pairs.length} color pairs meet ${level}`);
+        }
+      });
+    
+    return isValid;
+    
+  } catch (error) {
+    reporter.error('internal', null, `Error validating template contrast: ${error.message}`);
     return false;
   }
 }
 
 function validateDependencies() {
   console.log('\n📦 Validating dependencies...');
+  reporter.check('dependencies');
   
-  const componentsPath = path.join(REGISTRY_PATH, 'api/components.json');
+  const componentsPath = path.join(registryPath, 'api/components.json');
   if (!fs.existsSync(componentsPath)) {
     return false;
   }
@@ -228,7 +633,150 @@ function validateDependencies() {
     return true;
     
   } catch (error) {
-    console.error(`❌ Error validating dependencies: ${error.message}`);
+    reporter.error('internal', 'api/components.json', `Error validating dependencies: ${error.message}`);
+    return false;
+  }
+}
+
+function readApiItems(file, key) {
+  const filePath = path.join(registryPath, file);
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  return data[key] || [];
+}
+
+function validateDependencyGraph() {
+  console.log('\n🔗 Validating registry dependency graph...');
+  reporter.check('graph');
+  
+  try {
+    const components = readApiItems('api/components.json', 'components');
+    const providers = readApiItems('api/providers.json', 'providers');
+    const tokens = readApiItems('api/tokens.json', 'tokens');
+    
+    let isValid = true;
+    
+    findMissingDependencies(components, providers, tokens).forEach(({ from, to }) => {
+      reporter.error('graph/unknown-dependency', apiFileForNode(from), `Unknown registry dependency: ${from} → ${to}`);
+      isValid = false;
+    });
+    
+    findCycles(components, providers).forEach(cycle => {
+      reporter.error('graph/cycle', apiFileForNode(cycle[0]), `Dependency cycle: ${cycle.join(' → ')}`);
+      isValid = false;
+    });
+    
+    if (isValid) {
+      console.log(`✅ Dependency graph is acyclic (${components.length} components, ${providers.length} providers)`);
+    }
+    
+    return isValid;
+    
+  } catch (error) {
+    reporter.error('internal', 'api/graph.json', `Error validating dependency graph: ${error.message}`);
+    return false;
+  }
+}
+
+function validateProviderReferences() {
+  console.log('\n⚙️  Validating provider references...');
+  reporter.check('providers');
+  
+  try {
+    const components = readApiItems('api/components.json', 'components');
+    const providers = readApiItems('api/providers.json', 'providers');
+    const knownProviders = new Set(providers.map(provider => provider.displayName));
+    
+    let isValid = true;
+    let checked = 0;
+    
+    const check = (file, owner, field, names) => {
+      (names || []).forEach(name => {
+        checked++;
+        if (!knownProviders.has(name)) {
+          reporter.error('provider/unknown-reference', file, `${owner} references unknown provider in ${field}: ${name}`);
+          isValid = false;
+        }
+      });
+    };
+    
+    components.forEach(component => {
+      check('api/components.json', `Component ${component.name}`, 'requiredProviders', component.requiredProviders);
+    });
+    
+    providers.forEach(provider => {
+      check('api/providers.json', `Provider ${provider.displayName}`, 'requiredProviders', provider.requiredProviders);
+      check('api/providers.json', `Provider ${provider.displayName}`, 'wraps', provider.wraps);
+    });
+    
+    if (isValid) {
+      console.log(`✅ All ${checked} provider references exist in api/providers.json`);
+    }
+    
+    return isValid;
+    
+  } catch (error) {
+    reporter.error('internal', 'api/providers.json', `Error validating provider references: ${error.message}`);
+    return false;
+  }
+}
+
+function validateTokenUsage() {
+  console.log('\n🎯 Validating component token usage...');
+  reporter.check('tokens');
+  
+  try {
+    const components = readApiItems('api/components.json', 'components');
+    const tokensDir = path.join(registryPath, 'tokens');
+    const baseTokens = loadBaseTokens(fs.readdirSync(tokensDir)
+      .filter(file => file.endsWith('.ts.template'))
+      .map(file => ({ name: file.replace('.ts.template', ''), sourcePath: path.join(tokensDir, file) })));
+    
+    const templatesDir = path.join(registryPath, 'templates');
+    const templateNames = fs.readdirSync(templatesDir)
+      .filter(dir => fs.existsSync(path.join(templatesDir, dir, 'template.json')));
+    
+    let isValid = true;
+    
+    // Tokens missing from the base token files break every install
+    components.forEach(component => {
+      const { missingFromBase } = checkTokenUsage(component.tokenUsage, null, baseTokens);
+      missingFromBase.forEach(token => {
+        reporter.error('tokens/undefined', 'api/components.json', `Component ${component.name} uses undefined token: ${token}`);
+        isValid = false;
+      });
+    });
+    
+    // Tokens missing from a template only break installs into that theme
+    templateNames.forEach(templateName => {
+      const templateTokens = loadTemplateTokens(path.join(templatesDir, templateName));
+      const incompatible = components
+        .map(component => ({
+          name: component.name,
+          missing: checkTokenUsage(component.tokenUsage, templateTokens, baseTokens).missingFromTemplate
+        }))
+        .filter(result => result.missing.length > 0);
+      
+      if (incompatible.length === 0) {
+        console.log(`✅ ${templateName}: compatible with all ${components.length} components`);
+      } else {
+        console.warn(`⚠️  ${templateName}: compatible with ${components.length - incompatible.length}/${components.length} components`);
+        incompatible.forEach(result => {
+          reporter.warning(
+            'tokens/template-incompatible',
+            `templates/${templateName}`,
+            `${result.name} uses tokens ${templateName} lacks: ${result.missing.join(', ')}`
+          );
+        });
+      }
+    });
+    
+    return isValid;
+    
+  } catch (error) {
+    reporter.error('internal', null, `Error validating token usage: ${error.message}`);
     return false;
   }
 }
@@ -237,7 +785,7 @@ function generateRegistryReport() {
   console.log('\n📊 Generating registry report...');
   
   try {
-    const indexPath = path.join(REGISTRY_PATH, 'api/index.json');
+    const indexPath = path.join(registryPath, 'api/index.json');
     const index = JSON.parse(fs.readFileSync(indexPath, 'utf8'));
     
     const report = {
@@ -247,10 +795,10 @@ function generateRegistryReport() {
       categories: index.categories,
       dependencies: index.dependencies.length,
       structure: {
-        hasComponents: fs.existsSync(path.join(REGISTRY_PATH, 'components')),
-        hasTemplates: fs.existsSync(path.join(REGISTRY_PATH, 'templates')),
-        hasProviders: fs.existsSync(path.join(REGISTRY_PATH, 'providers')),
-        hasTokens: fs.existsSync(path.join(REGISTRY_PATH, 'tokens')),
+        hasComponents: fs.existsSync(path.join(registryPath, 'components')),
+        hasTemplates: fs.existsSync(path.join(registryPath, 'templates')),
+        hasProviders: fs.existsSync(path.join(registryPath, 'providers')),
+        hasTokens: fs.existsSync(path.join(registryPath, 'tokens')),
       }
     };
     
@@ -266,22 +814,80 @@ function generateRegistryReport() {
     return report;
     
   } catch (error) {
-    console.error(`❌ Error generating report: ${error.message}`);
+    reporter.error('internal', 'api/index.json', `Error generating report: ${error.message}`);
     return null;
   }
 }
 
 async function main() {
-  console.log('🔍 RNCanopy Registry Validation\n');
+  const options = parseArgs(process.argv.slice(2), CLI_FLAGS);
+  const format = options.format || 'text';
+  const strict = Boolean(options.strict);
+  
+  let config;
+  try {
+    config = loadRegistryConfig(process.argv.slice(2));
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+  registryPath = config.outputPath;
+  
+  // Only a level set in the config or on the command line is enforced
+  const contrastLevel = options.contrast || config.contrast || null;
+  
+  if (!FORMATS.includes(format)) {
+    console.error(`❌ Unknown format: ${format} (expected ${FORMATS.join(', ')})`);
+    process.exit(1);
+  }
+  if (contrastLevel && !CONTRAST_LEVELS[contrastLevel]) {
+    console.error(`❌ Unknown contrast level: ${contrastLevel} (expected ${Object.keys(CONTRAST_LEVELS).join(', ')})`);
+    process.exit(1);
+  }
+  
+  // Keep stdout parseable when the structured report is printed there
+  if ((format === 'json' || format === 'junit') && !options.output) {
+    console.log = console.error;
+  }
+  
+  reporter = createReporter();
+  
+  console.log(`🔍 RNCanopy Registry Validation (${registryPath})\n`);
   
   let isValid = true;
   
   isValid &= validateRegistryStructure();
+  isValid &= validateSchemas();
   isValid &= validateComponents();
+  isValid &= validateComponentMetadata();
+  isValid &= validateComponentCasing();
+  isValid &= validateUrls();
+  isValid &= validatePacks();
   isValid &= validateTemplates();
+  isValid &= validateTemplateColors();
+  isValid &= validateTemplateContrast(contrastLevel);
   isValid &= validateDependencies();
+  isValid &= validateDependencyGraph();
+  isValid &= validateProviderReferences();
+  isValid &= validateTokenUsage();
   
   const report = generateRegistryReport();
+  const { errors, warnings } = reporter.counts();
+  
+  if (strict && warnings > 0) {
+    console.log(`\n⚠️  ${warnings} warnings fail validation in strict mode`);
+    isValid = false;
+  }
+  
+  if (format !== 'text') {
+    const output = formatReport(format, reporter, { passed: Boolean(isValid), strict, summary: report });
+    if (options.output) {
+      fs.writeFileSync(path.resolve(options.output), `${output}\n`);
+      console.log(`\n📝 ${format} report written to ${options.output} (${errors} errors, ${warnings} warnings)`);
+    } else if (output) {
+      process.stdout.write(`${output}\n`);
+    }
+  }
   
   if (isValid) {
     console.log('\n✅ Registry validation passed!');
@@ -298,8 +904,18 @@ if (require.main === module) {
 
 module.exports = {
   validateRegistryStructure,
+  validateSchemas,
   validateComponents, 
+  validateComponentMetadata,
+  validateComponentCasing,
+  validateUrls,
+  validatePacks,
   validateTemplates,
+  validateTemplateColors,
+  validateTemplateContrast,
   validateDependencies,
+  validateDependencyGraph,
+  validateProviderReferences,
+  validateTokenUsage,
   generateRegistryReport
 };
\ No newline at end of file
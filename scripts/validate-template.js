@@ -2,32 +2,24 @@
 
 const fs = require('fs');
 const path = require('path');
-const Ajv = require('ajv');
+const { createSchemaValidator, validateFileAgainstSchema } = require('./schema-validation');
 
 const REGISTRY_PATH = path.join(__dirname, '..');
-const SCHEMA_PATH = path.join(REGISTRY_PATH, 'schemas', 'template.schema.json');
 
 function validateTemplate(templatePath) {
   try {
-    // Load schema
-    const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
-    const ajv = new Ajv({ allErrors: true });
-    const validate = ajv.compile(schema);
+    const validator = createSchemaValidator();
+    const errors = validateFileAgainstSchema(validator, 'template.schema.json', templatePath);
     
-    // Load template
-    const template = JSON.parse(fs.readFileSync(templatePath, 'utf8'));
-    
-    // Validate
-    const valid = validate(template);
-    
-    if (!valid) {
+    if (errors.length > 0) {
       console.error(`❌ Template validation failed: ${templatePath}`);
-      validate.errors.forEach(error => {
-        console.error(`  - ${error.instancePath}: ${error.message}`);
+      errors.forEach(error => {
+        console.error(`  - ${error.path}: ${error.message}`);
       });
       return false;
     }
     
+    const template = JSON.parse(fs.readFileSync(templatePath, 'utf8'));
     console.log(`✅ Template valid: ${template.name}`);
     return true;
   } catch (error) {
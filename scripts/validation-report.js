@@ -0,0 +1,135 @@
+// Structured findings collected while validating, and the formats they can be
+// emitted in: json for tooling, junit for CI test reports, github for workflow
+// command annotations on pull requests.
+
+const FORMATS = ['text', 'json', 'junit', 'github'];
+
+function createReporter() {
+  const findings = [];
+  const checks = [];
+  let currentCheck = null;
+
+  function record(severity, rule, file, message) {
+    findings.push({ rule, severity, file: file || null, message, check: currentCheck });
+  }
+
+  return {
+    findings,
+    checks,
+
+    // Groups the following findings under one validation step
+    check(name) {
+      currentCheck = name;
+      checks.push(name);
+    },
+
+    error(rule, file, message) {
+      record('error', rule, file, message);
+      console.error(`❌ ${message}`);
+    },
+
+    warning(rule, file, message) {
+      record('warning', rule, file, message);
+      console.warn(`⚠️  ${message}`);
+    },
+
+    counts() {
+      return {
+        errors: findings.filter(finding => finding.severity === 'error').length,
+        warnings: findings.filter(finding => finding.severity === 'warning').length
+      };
+    }
+  };
+}
+
+function formatJson(reporter, { passed, strict, summary }) {
+  return JSON.stringify({
+    passed,
+    strict,
+    counts: reporter.counts(),
+    findings: reporter.findings,
+    summary
+  }, null, 2);
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// One testsuite per validation step, one testcase per finding; a step without
+// findings is a single passing testcase. Warnings only fail in strict mode.
+function formatJunit(reporter, { strict }) {
+  const suites = reporter.checks.map(check => {
+    const findings = reporter.findings.filter(finding => finding.check === check);
+    const failing = findings.filter(finding => finding.severity === 'error' || strict);
+
+    const cases = findings.length === 0
+      ? [`    <testcase name="${escapeXml(check)}" classname="registry"/>`]
+      : findings.map(finding => {
+        const name = escapeXml(`${finding.rule}: ${finding.file || 'registry'}`);
+        const classname = escapeXml(finding.file || 'registry');
+        const body = finding.severity === 'error' || strict
+          ? `<failure type="${finding.severity}" message="${escapeXml(finding.message)}"/>`
+          : `<system-out>${escapeXml(`warning: ${finding.message}`)}</system-out>`;
+        return `    <testcase name="${name}" classname="${classname}">${body}</testcase>`;
+      });
+
+    return [
+      `  <testsuite name="${escapeXml(check)}" tests="${cases.length}" failures="${failing.length}">`,
+      ...cases,
+      '  </testsuite>'
+    ].join('\n');
+  });
+
+  const total = reporter.checks.reduce((sum, check) =>
+    sum + Math.max(1, reporter.findings.filter(finding => finding.check === check).length), 0);
+  const failures = reporter.findings.filter(finding => finding.severity === 'error' || strict).length;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="registry-validation" tests="${total}" failures="${failures}">`,
+    ...suites,
+    '</testsuites>'
+  ].join('\n');
+}
+
+function escapeGithubData(value) {
+  return String(value).replace(/%/g, '%25').replace(/\r/g, '%0D').replace(/\n/g, '%0A');
+}
+
+function escapeGithubProperty(value) {
+  return escapeGithubData(value).replace(/:/g, '%3A').replace(/,/g, '%2C');
+}
+
+function formatGithub(reporter) {
+  return reporter.findings.map(finding => {
+    const properties = [`title=${escapeGithubProperty(finding.rule)}`];
+    if (finding.file) {
+      properties.unshift(`file=${escapeGithubProperty(finding.file)}`);
+    }
+    return `::${finding.severity} ${properties.join(',')}::${escapeGithubData(finding.message)}`;
+  }).join('\n');
+}
+
+function formatReport(format, reporter, options) {
+  switch (format) {
+    case 'json':
+      return formatJson(reporter, options);
+    case 'junit':
+      return formatJunit(reporter, options);
+    case 'github':
+      return formatGithub(reporter);
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  FORMATS,
+  createReporter,
+  formatReport
+};